@@ -1,473 +1,5002 @@
-class Drone {
-  constructor(globe) {
-    this.globe = globe
-    this.speed = 0.01 + Math.random() * 0.02
-    this.mesh = this.createDroneMesh()
-    this.position = this.getRandomPosition()
-    this.target = this.getRandomPosition()
-    this.mesh.position.copy(this.position)
-    this.isExploding = false
-    this.explosionProgress = 0
-    this.explosionDuration = 1000 // 1 second explosion animation
+// Plain {x, y, z} vector helpers so the simulation runs without Three.js
+const vec3 = (x = 0, y = 0, z = 0) => ({ x, y, z })
+const addVec3 = (a, b) => vec3(a.x + b.x, a.y + b.y, a.z + b.z)
+const subVec3 = (a, b) => vec3(a.x - b.x, a.y - b.y, a.z - b.z)
+const scaleVec3 = (a, s) => vec3(a.x * s, a.y * s, a.z * s)
+const dotVec3 = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
+const crossVec3 = (a, b) =>
+  vec3(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x)
+// Math.sqrt rather than Math.hypot, which is several times slower and these
+// run for every drone every step
+const lengthVec3 = (a) => Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z)
+const distanceVec3 = (a, b) => {
+  const x = a.x - b.x
+  const y = a.y - b.y
+  const z = a.z - b.z
+  return Math.sqrt(x * x + y * y + z * z)
+}
+const setLengthVec3 = (a, length) => {
+  const current = lengthVec3(a)
+  return current ? scaleVec3(a, length / current) : vec3()
+}
+
+// The angle in radians between two points as seen from the Earth's centre
+const angleBetweenVec3 = (a, b) => {
+  const cos = dotVec3(a, b) / (lengthVec3(a) * lengthVec3(b))
+  return Math.acos(Math.min(1, Math.max(-1, cos)))
+}
+
+// The direction along the surface at `from` that sets off on the great
+// circle to `to`, or null if `to` is straight above or below
+const headingTowards = (from, to) => {
+  const up = setLengthVec3(from, 1)
+  const along = subVec3(to, scaleVec3(up, dotVec3(to, up)))
+  return lengthVec3(along) > 1e-9 ? setLengthVec3(along, 1) : null
+}
 
-    globe.scene.add(this.mesh)
+// Lat/long on the Earth's surface (radius 0.5) to a point, and back
+const latLongToPoint = (lat, lon) => {
+  const phi = (90 - lat) * (Math.PI / 180)
+  const theta = (lon + 180) * (Math.PI / 180)
+  const x = -0.5 * Math.sin(phi) * Math.cos(theta)
+  const y = 0.5 * Math.cos(phi)
+  const z = 0.5 * Math.sin(phi) * Math.sin(theta)
+  return vec3(x, y, z)
+}
+
+const pointToLatLong = (point) => {
+  const phi = Math.acos(point.y / lengthVec3(point))
+  const theta = Math.atan2(point.z, -point.x)
+  const lat = 90 - phi * (180 / Math.PI)
+  let long = theta * (180 / Math.PI) - 180
+  if (long < -180) long += 360
+  return { lat, long }
+}
+
+// The point the sun is straight above at `date`, as {lat, long}, from NOAA's
+// approximations of the sun's declination and the equation of time
+const getSubsolarPoint = (date) => {
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1)
+  const day = (date.getTime() - yearStart) / 86400000
+  const year = (2 * Math.PI * day) / 365 // The fractional year in radians
+  const declination =
+    0.006918 -
+    0.399912 * Math.cos(year) +
+    0.070257 * Math.sin(year) -
+    0.006758 * Math.cos(2 * year) +
+    0.000907 * Math.sin(2 * year) -
+    0.002697 * Math.cos(3 * year) +
+    0.00148 * Math.sin(3 * year)
+  const equationOfTime = // Minutes the sun is ahead of the clock
+    229.18 *
+    (0.000075 +
+      0.001868 * Math.cos(year) -
+      0.032077 * Math.sin(year) -
+      0.014615 * Math.cos(2 * year) -
+      0.040849 * Math.sin(2 * year))
+
+  // Noon is when the sun crosses the meridian, 4 minutes a degree
+  const minutes =
+    date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60
+  let long = (720 - minutes - equationOfTime) / 4
+  if (long < -180) long += 360
+  if (long > 180) long -= 360
+  return { lat: declination * (180 / Math.PI), long }
+}
+
+// Seedable PRNG (mulberry32) so a game can be reproduced from its seed
+const createRng = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
   }
+}
 
-  createDroneMesh() {
-    // Create drone body
-    const bodyGeometry = new THREE.BoxGeometry(0.03, 0.01, 0.02)
-    const bodyMaterial = new THREE.MeshPhongMaterial({
-      color: 0xff4444,
-      emissive: 0x441111,
-      shininess: 30,
-    })
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial)
+// Each round spawns `drones` drones, one every `spawnInterval` ms, with
+// speeds picked from `speed`. Rounds past the end of the table repeat the
+// last entry with more, faster drones.
+const ROUNDS = [
+  {
+    drones: 5,
+    speed: [0.01, 0.02],
+    spawnInterval: 2000,
+    droneTypes: ["standard"],
+  },
+  {
+    drones: 10,
+    speed: [0.01, 0.025],
+    spawnInterval: 1500,
+    droneTypes: ["standard", "scout"],
+  },
+  {
+    drones: 20,
+    speed: [0.015, 0.03],
+    spawnInterval: 1000,
+    droneTypes: ["standard", "scout", "armored"],
+  },
+  {
+    drones: 35,
+    speed: [0.015, 0.035],
+    spawnInterval: 700,
+    droneTypes: ["standard", "armored", "shielded", "leader", "swarmer"],
+  },
+  {
+    drones: 50,
+    speed: [0.02, 0.04],
+    spawnInterval: 500,
+    droneTypes: ["scout", "armored", "shielded", "swarmer", "leader", "bomber"],
+  },
+]
+
+// Drone type registry. Resistances are the fraction of a weapon's damage a
+// type ignores, so 1 means immune. `updateTarget` is the movement AI, called
+// every simulation step before the drone flies towards `drone.target`, see
+// Drone.update(). Each drone cruises at a height picked from `altitude`
+// (distance from the Earth's centre; the surface is 0.5), turns at most
+// `turnRate` radians a second and banks up to `maxBank` radians into turns.
+const DRONE_TYPES = {}
+
+const wander = (drone) => {
+  if (angleBetweenVec3(drone.position, drone.target) < 0.15) {
+    drone.target = drone.getRandomPosition()
+  }
+}
 
-    // Create drone wings
-    const wingGeometry = new THREE.BoxGeometry(0.02, 0.002, 0.02)
-    const wingMaterial = new THREE.MeshPhongMaterial({
-      color: 0x666666,
-      shininess: 20,
+const registerDroneType = (name, definition) => {
+  DRONE_TYPES[name] = {
+    name,
+    hitPoints: 1,
+    points: 10,
+    speedMultiplier: 1,
+    resistances: {},
+    color: 0xff4444,
+    emissive: 0x441111,
+    wingColor: 0x666666,
+    scale: 1,
+    altitude: [0.65, 0.8],
+    turnRate: 2,
+    maxBank: 0.6,
+    updateTarget: wander,
+    ...definition,
+  }
+}
+
+registerDroneType("standard", {})
+
+// Scouts fly high, above the reach of SOUND
+registerDroneType("scout", {
+  points: 15,
+  speedMultiplier: 2,
+  altitude: [0.82, 0.9],
+  turnRate: 3,
+  color: 0xffdd33,
+  emissive: 0x443311,
+  scale: 0.7,
+})
+
+registerDroneType("armored", {
+  hitPoints: 2,
+  points: 20,
+  speedMultiplier: 0.7,
+  altitude: [0.6, 0.7],
+  turnRate: 1.2,
+  color: 0x999999,
+  emissive: 0x331111,
+  wingColor: 0x444444,
+  scale: 1.3,
+})
+
+registerDroneType("shielded", {
+  points: 20,
+  resistances: { EMP: 1 },
+  color: 0xaa44ff,
+  emissive: 0x331144,
+})
+
+registerDroneType("leader", {
+  hitPoints: 2,
+  points: 30,
+  speedMultiplier: 0.8,
+  altitude: [0.7, 0.8],
+  color: 0xff8800,
+  emissive: 0x442200,
+  scale: 1.5,
+})
+
+// Swarmers fly in formation around the nearest leader, at its height, or
+// wander alone
+registerDroneType("swarmer", {
+  points: 5,
+  turnRate: 4,
+  color: 0xff8800,
+  emissive: 0x442200,
+  scale: 0.6,
+  updateTarget: (drone) => {
+    let leader = null
+    let leaderDistance = Infinity
+    drone.sim.leaders.forEach((other) => {
+      const distance = distanceVec3(drone.position, other.position)
+      if (distance < leaderDistance) {
+        leader = other
+        leaderDistance = distance
+      }
     })
 
-    const leftWing = new THREE.Mesh(wingGeometry, wingMaterial)
-    leftWing.position.x = -0.02
-    const rightWing = new THREE.Mesh(wingGeometry, wingMaterial)
-    rightWing.position.x = 0.02
+    if (!leader) return wander(drone)
+
+    if (!drone.formationOffset) {
+      const { random } = drone.sim
+      drone.formationOffset = scaleVec3(
+        vec3(random() - 0.5, random() - 0.5, random() - 0.5),
+        0.1,
+      )
+    }
+    drone.target = addVec3(leader.position, drone.formationOffset)
+    drone.cruiseAltitude = leader.altitude
+  },
+})
+
+// Bombers wander for a while, then dive at the surface ahead of them
+registerDroneType("bomber", {
+  points: 25,
+  surfaceDamage: 25,
+  speedMultiplier: 0.8,
+  altitude: [0.75, 0.85],
+  turnRate: 1,
+  color: 0x880000,
+  emissive: 0x220000,
+  scale: 1.4,
+  diveDelay: 8000,
+  updateTarget: (drone) => {
+    if (drone.isDiving) return
+    if (drone.sim.time - drone.spawnTime > drone.type.diveDelay) {
+      drone.isDiving = true
+      drone.target = drone.getPointAhead(drone.altitude - 0.5)
+      return
+    }
+    wander(drone)
+  },
+})
+
+// Drones spawned from live request traffic, coloured like their spikes
+registerDroneType("read", {
+  points: 10,
+  speedMultiplier: 1.5,
+  color: 0xffffff,
+  emissive: 0x333333,
+  scale: 0.8,
+})
+
+registerDroneType("write", {
+  hitPoints: 2,
+  points: 20,
+  color: 0x00ff00,
+  emissive: 0x114411,
+})
+
+// Movement AI for drones sent at a city: fly the great circle at cruising
+// altitude, then start the attack run once the city is as far off along the
+// surface as the drone is high
+const attackCity = (drone) => {
+  const { city } = drone
+  drone.target = city.position
+  const distance = angleBetweenVec3(drone.position, city.position) * 0.5
+  if (!drone.isDiving && distance < drone.altitude - 0.5) drone.isDiving = true
+}
+
+// Weapon registry. Each shot is a wave: by default a shader sphere centred on
+// the Earth that grows from scale 1 to `maxScale` over `duration` ms, hitting
+// drones within `hitBand` of its front for `damage`. Firing costs `energyCost`
+// from the player's energy and locks the weapon for `cooldown` ms. Shots
+// aimed at a point on the surface are centred there instead and grow from
+// `targetedMinScale` to `targetedMaxScale`. They only reach drones flying
+// within `altitudes` of the Earth's centre. Weapons with other shapes (beams,
+// wells) can override updateWave, bounds and hits in the simulation, and
+// createMesh and updateMesh in the renderer. `bounds` returns the shell around
+// a point that holds every drone the wave could hit; only drones in it are
+// passed to `hits`. `sound` is the sweep played when it fires, lasting
+// `duration`, with an optional tremolo `pulseRate` in Hz.
+const WEAPONS = {}
+
+const WAVE_VERTEX_SHADER = `
+  varying vec3 vNormal;
+  void main() {
+    vNormal = normalize(normalMatrix * normal);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const createSphereWave = (weapon) => {
+  const geometry = new THREE.SphereGeometry(0.5, 32, 32)
+  const material = new THREE.ShaderMaterial({
+    transparent: true,
+    uniforms: {
+      time: { value: 0 },
+      color: { value: new THREE.Color(weapon.color) },
+      maxRadius: { value: 5.0 },
+    },
+    vertexShader: weapon.vertexShader,
+    fragmentShader: weapon.fragmentShader,
+  })
+  return new THREE.Mesh(geometry, material)
+}
+
+const updateSphereWaveMesh = (mesh, wave) => {
+  mesh.scale.setScalar(wave.scale)
+  mesh.material.uniforms.time.value = wave.progress
+}
+
+const expandWave = (wave) => {
+  const { minScale, maxScale, progress } = wave
+  wave.scale = minScale + (maxScale - minScale) * progress
+}
+
+const waveFrontBounds = (wave) => {
+  const waveRadius = wave.scale * 0.5
+  const { hitBand, altitudes } = wave.weapon
+  const bounds = {
+    center: wave.origin,
+    minRadius: waveRadius - hitBand,
+    maxRadius: waveRadius + hitBand,
+  }
+  // Centred on the Earth, the shell can shrink to the altitudes in reach
+  if (!wave.target) {
+    bounds.minRadius = Math.max(bounds.minRadius, altitudes[0])
+    bounds.maxRadius = Math.min(bounds.maxRadius, altitudes[1])
+  }
+  return bounds
+}
+
+const hitsWaveFront = (wave, drone) => {
+  const [low, high] = wave.weapon.altitudes
+  if (drone.altitude < low || drone.altitude > high) return false
+
+  const waveRadius = wave.scale * 0.5
+  const distanceFromCenter = distanceVec3(drone.position, wave.origin)
+  return Math.abs(distanceFromCenter - waveRadius) < wave.weapon.hitBand
+}
+
+const registerWeapon = (name, definition) => {
+  WEAPONS[name] = {
+    name,
+    label: name[0],
+    key: name[0].toLowerCase(),
+    buttonColor: "#999999",
+    color: 0xffffff,
+    duration: 2000,
+    maxScale: 8,
+    targetedMinScale: 0.1,
+    targetedMaxScale: 1.2,
+    hitBand: 0.05,
+    altitudes: [0, Infinity],
+    cooldown: 500,
+    energyCost: 10,
+    damage: 1,
+    vertexShader: WAVE_VERTEX_SHADER,
+    updateWave: expandWave,
+    bounds: waveFrontBounds,
+    hits: hitsWaveFront,
+    createMesh: createSphereWave,
+    updateMesh: updateSphereWaveMesh,
+    sound: { type: "sine", startFrequency: 440, endFrequency: 110 },
+    ...definition,
+  }
+}
 
-    // Create group to hold all drone parts
-    const droneGroup = new THREE.Group()
-    droneGroup.add(body)
-    droneGroup.add(leftWing)
-    droneGroup.add(rightWing)
+// EMP: slow to recharge and expensive, but reaches the whole sky
+registerWeapon("EMP", {
+  buttonColor: "#4CAF50",
+  color: 0x00ff00,
+  maxScale: 10,
+  cooldown: 1500,
+  energyCost: 35,
+  sound: { type: "sawtooth", startFrequency: 160, endFrequency: 40 },
+  fragmentShader: `
+    uniform float time;
+    uniform vec3 color;
+    uniform float maxRadius;
+    varying vec3 vNormal;
+
+    void main() {
+      float intensity = 1.0 - (time * time); // Inverse square law decay
+      float edge = 0.05;
+      float rim = smoothstep(0.5 - edge, 0.5 + edge, dot(vNormal, vec3(0.0, 0.0, 1.0)));
+      gl_FragColor = vec4(color, intensity * (1.0 - rim) * 0.5);
+    }
+  `,
+})
+
+// Sound: cheap and quick to fire, and it gets through EMP shielding, but it
+// needs air and fades out above 0.8
+registerWeapon("SOUND", {
+  buttonColor: "#2196F3",
+  color: 0x2196f3,
+  maxScale: 8,
+  altitudes: [0, 0.8],
+  cooldown: 400,
+  energyCost: 10,
+  sound: {
+    type: "sine",
+    startFrequency: 880,
+    endFrequency: 220,
+    pulseRate: 10,
+  },
+  fragmentShader: `
+    uniform float time;
+    uniform vec3 color;
+    uniform float maxRadius;
+    varying vec3 vNormal;
+
+    void main() {
+      float intensity = 1.0 - (time * time);
+      float edge = 0.1;
+      float rim = smoothstep(0.5 - edge, 0.5 + edge, dot(vNormal, vec3(0.0, 0.0, 1.0)));
+      float wave = sin(time * 20.0) * 0.5 + 0.5;
+      gl_FragColor = vec4(color, intensity * (1.0 - rim) * wave * 0.7);
+    }
+  `,
+})
 
-    return droneGroup
+// Simulation state for one drone. Drones fly great circles around the Earth
+// at `altitude`, nose along `heading` (a unit vector along the surface),
+// rolled by `bank` radians. Rendering lives in Globe, which reads these every
+// frame.
+class Drone {
+  constructor(sim, options = {}) {
+    this.sim = sim
+    this.id = sim.nextId++
+    this.type = DRONE_TYPES[options.type || "standard"]
+    this.hitPoints = this.type.hitPoints
+    this.wavesHit = new Set()
+    const [minSpeed, maxSpeed] = options.speed || [0.01, 0.03]
+    this.speed =
+      (minSpeed + sim.random() * (maxSpeed - minSpeed)) *
+      this.type.speedMultiplier
+    this.position = options.position || this.getRandomPosition()
+    this.altitude = lengthVec3(this.position)
+    const [low, high] = this.type.altitude
+    this.cruiseAltitude = low + sim.random() * (high - low)
+    this.target = this.getRandomPosition()
+    this.heading =
+      headingTowards(this.position, this.target) ||
+      setLengthVec3(crossVec3(this.position, vec3(0, 0, 1)), 1)
+    this.bank = 0 // Positive into left turns
+    this.separation = null // See steer()
+    this.city = options.city || null // Set for drones attacking a city
+    this.round = options.round || null // The round that spawned it, if any
+    this.spawnTime = sim.time
   }
 
   getRandomPosition() {
     const radius = 0.8 // Slightly larger than Earth's radius
-    const theta = Math.random() * Math.PI * 2
-    const phi = Math.random() * Math.PI
+    const theta = this.sim.random() * Math.PI * 2
+    const phi = this.sim.random() * Math.PI
 
-    return new THREE.Vector3(
+    return vec3(
       radius * Math.sin(phi) * Math.cos(theta),
       radius * Math.sin(phi) * Math.sin(theta),
       radius * Math.cos(phi),
     )
   }
 
+  // The point on the surface `distance` ahead along the heading
+  getPointAhead(distance) {
+    const angle = distance / 0.5
+    const up = setLengthVec3(this.position, 1)
+    const direction = addVec3(
+      scaleVec3(up, Math.cos(angle)),
+      scaleVec3(this.heading, Math.sin(angle)),
+    )
+    return scaleVec3(direction, 0.5)
+  }
+
   update(delta) {
-    if (this.isExploding) {
-      this.updateExplosion(delta)
-      return
+    // Let the type's AI pick where to go, unless it's attacking a city
+    if (this.city) {
+      attackCity(this)
+    } else {
+      this.type.updateTarget(this)
     }
 
-    // Move towards target
-    const direction = this.target.clone().sub(this.position).normalize()
-    this.position.add(direction.multiplyScalar(this.speed * delta))
-    this.mesh.position.copy(this.position)
+    this.steer(delta)
+    this.fly(delta)
 
-    // Look in the direction of movement
-    this.mesh.lookAt(this.target)
+    // Drones that reach the surface or linger too long strike earth
+    const { game } = this.sim
+    if (this.altitude < 0.5) {
+      this.strikeEarth(this.type.surfaceDamage || game.surfaceDamage)
+      return
+    }
+    if (this.sim.time - this.spawnTime > game.droneLifetime) {
+      this.strikeEarth(game.lingerDamage)
+    }
+  }
 
-    // If close to target, get new target
-    if (this.position.distanceTo(this.target) < 0.1) {
-      this.target = this.getRandomPosition()
+  // Turns the heading towards the target, and away from drones too close by,
+  // banking into the turn
+  steer(delta) {
+    const { type, sim } = this
+    const up = setLengthVec3(this.position, 1)
+    let desired = headingTowards(this.position, this.target) || this.heading
+    // Drones take turns looking for neighbours, and keep steering away from
+    // the last ones they found in between
+    if ((this.id + sim.tick) % sim.game.separationInterval === 0) {
+      this.separation = this.getSeparation(up)
+    }
+    if (this.separation) {
+      desired = setLengthVec3(addVec3(desired, this.separation), 1)
     }
 
-    // Check for wave collisions
-    this.checkWaveCollisions()
+    // Signed angle from the heading to the desired heading, left positive
+    const angle = Math.atan2(
+      dotVec3(crossVec3(this.heading, desired), up),
+      dotVec3(this.heading, desired),
+    )
+    const maxTurn = type.turnRate * delta
+    const turn = Math.max(-maxTurn, Math.min(maxTurn, angle))
+    this.heading = addVec3(
+      scaleVec3(this.heading, Math.cos(turn)),
+      scaleVec3(crossVec3(up, this.heading), Math.sin(turn)),
+    )
+
+    const bank = maxTurn ? (turn / maxTurn) * type.maxBank : 0
+    this.bank += (bank - this.bank) * Math.min(1, delta * 4)
   }
 
-  checkWaveCollisions() {
-    // Check EMP waves
-    this.globe.activeEMPWaves.forEach((wave) => {
-      const waveRadius = wave.mesh.scale.x * 0.5
-      const distanceFromCenter = this.position.length()
-      if (
-        Math.abs(distanceFromCenter - waveRadius) < 0.05 &&
-        !this.isExploding
-      ) {
-        this.startExplosion()
-      }
+  // Points along the surface away from drones closer than droneSeparation,
+  // harder the closer they are, or null if none are. Uses the index from the
+  // last step.
+  getSeparation(up) {
+    const separation = this.sim.game.droneSeparation
+    const { position } = this
+    // Summed in place, as this runs for thousands of drones
+    const push = vec3()
+    let neighbours = 0
+    this.sim.droneIndex.query(position, 0, separation, (other) => {
+      if (other === this || other.isRemoved) return
+      const distance = distanceVec3(position, other.position)
+      if (!distance || distance >= separation) return
+      const strength = (1 - distance / separation) / distance
+      push.x += (position.x - other.position.x) * strength
+      push.y += (position.y - other.position.y) * strength
+      push.z += (position.z - other.position.z) * strength
+      neighbours++
     })
+    if (!neighbours) return null
+    return subVec3(push, scaleVec3(up, dotVec3(push, up)))
+  }
 
-    // Check Sound waves
-    this.globe.activeSoundWaves.forEach((wave) => {
-      const waveRadius = wave.mesh.scale.x * 0.5
-      const distanceFromCenter = this.position.length()
-      if (
-        Math.abs(distanceFromCenter - waveRadius) < 0.05 &&
-        !this.isExploding
-      ) {
-        this.startExplosion()
-      }
-    })
+  // Climbs or descends towards cruising altitude, or down the glide of an
+  // attack run, while flying on along the great circle it's heading on
+  fly(delta) {
+    const { speed } = this
+    let altitude = this.cruiseAltitude
+    if (this.isDiving) {
+      // A 45 degree glide that meets the surface at the target
+      const distance = angleBetweenVec3(this.position, this.target) * 0.5
+      altitude = Math.min(this.altitude, 0.45 + distance)
+    }
+    const climb = (this.isDiving ? 1 : 0.5) * speed * delta
+    this.altitude += Math.max(-climb, Math.min(climb, altitude - this.altitude))
+
+    // Turning the up vector and heading together keeps the heading level
+    const up = setLengthVec3(this.position, 1)
+    const angle = (speed * delta) / this.altitude
+    const direction = addVec3(
+      scaleVec3(up, Math.cos(angle)),
+      scaleVec3(this.heading, Math.sin(angle)),
+    )
+    this.heading = subVec3(
+      scaleVec3(this.heading, Math.cos(angle)),
+      scaleVec3(up, Math.sin(angle)),
+    )
+    this.position = scaleVec3(direction, this.altitude)
   }
 
-  startExplosion() {
-    this.isExploding = true
-    this.explosionStartTime = Date.now()
+  hit(wave) {
+    // A wave front can only hit each drone once on its way out
+    if (this.isRemoved || this.wavesHit.has(wave)) return
+    this.wavesHit.add(wave)
+    wave.hits++
+
+    const { name, damage } = wave.weapon
+    const resistance = this.type.resistances[name] || 0
+    this.hitPoints -= damage * (1 - resistance)
+    if (this.hitPoints <= 0) {
+      this.destroy(wave)
+    }
+  }
 
-    // Create explosion particles
-    const particleCount = 20
-    const particles = new THREE.Group()
+  destroy(wave) {
+    this.sim.removeDrone(this)
+    this.sim.game.recordKill(this, wave)
+    this.sim.emit("droneDestroyed", this, wave)
+  }
 
-    for (let i = 0; i < particleCount; i++) {
-      const geometry = new THREE.BoxGeometry(0.01, 0.01, 0.01)
-      const material = new THREE.MeshPhongMaterial({
-        color: Math.random() > 0.5 ? 0xff4444 : 0xff7700,
-        emissive: 0x441111,
+  strikeEarth(damage) {
+    this.sim.removeDrone(this)
+    this.sim.emit("droneStruck", this)
+    this.sim.game.damageEarth(damage)
+
+    // Impacts on the surface also hit any city close by
+    if (lengthVec3(this.position) < 0.5) {
+      this.sim.cities.forEach((city) => {
+        if (distanceVec3(this.position, city.position) < city.blastRadius) {
+          this.sim.game.damageCity(city, damage)
+        }
       })
-      const particle = new THREE.Mesh(geometry, material)
+    }
+  }
+}
 
-      // Random direction for particle
-      particle.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.02,
-        (Math.random() - 0.5) * 0.02,
-        (Math.random() - 0.5) * 0.02,
-      )
+class RoundManager {
+  constructor(sim) {
+    this.sim = sim
+    this.intermissionDuration = 3000 // 3 second break between rounds
+  }
+
+  reset() {
+    this.round = 1
+    this.startIntermission()
+  }
 
-      particles.add(particle)
+  getRoundConfig(round) {
+    if (round <= ROUNDS.length) return ROUNDS[round - 1]
+
+    // Endless mode: scale the last round up
+    const last = ROUNDS[ROUNDS.length - 1]
+    const extra = round - ROUNDS.length
+    return {
+      drones: Math.round(last.drones * Math.pow(1.2, extra)),
+      speed: last.speed.map((speed) => speed * Math.pow(1.05, extra)),
+      spawnInterval: Math.max(100, last.spawnInterval * Math.pow(0.9, extra)),
+      droneTypes: last.droneTypes,
     }
+  }
 
-    this.globe.scene.add(particles)
-    this.explosionParticles = particles
+  startIntermission() {
+    this.isIntermission = true
+    this.phaseStartTime = this.sim.time
+    this.sim.emit("intermission", this.round)
   }
 
-  updateExplosion(delta) {
-    const elapsed = Date.now() - this.explosionStartTime
-    const progress = elapsed / this.explosionDuration
+  startRound() {
+    this.isIntermission = false
+    this.phaseStartTime = this.sim.time
+    this.config = this.getRoundConfig(this.round)
+    this.dronesSpawned = 0
+    this.lastDroneSpawn = -Infinity
+    this.sim.emit("roundStarted", this.round)
+  }
 
-    if (progress >= 1) {
-      // Remove drone and particles
-      this.globe.scene.remove(this.mesh)
-      this.globe.scene.remove(this.explosionParticles)
-      this.globe.drones = this.globe.drones.filter((d) => d !== this)
+  update(currentTime) {
+    if (this.isIntermission) {
+      if (currentTime - this.phaseStartTime > this.intermissionDuration) {
+        this.startRound()
+      }
       return
     }
 
-    // Update particle positions and scale
-    this.explosionParticles.children.forEach((particle) => {
-      particle.position.add(particle.velocity)
-      particle.scale.multiplyScalar(0.95)
-    })
+    const { config, sim } = this
+
+    // In versus games the attacker sends every drone
+    if (sim.mode === "versus") {
+      if (currentTime - this.phaseStartTime >= sim.game.versusDuration) {
+        sim.game.endGame("The defender held out", sim.players[0])
+      }
+      return
+    }
 
-    // Fade out original drone
-    this.mesh.scale.multiplyScalar(0.9)
+    // Spawn new drones
+    if (
+      this.dronesSpawned < config.drones &&
+      currentTime - this.lastDroneSpawn > config.spawnInterval &&
+      sim.drones.length < sim.maxDrones
+    ) {
+      const { droneTypes } = config
+      const type = droneTypes[Math.floor(sim.random() * droneTypes.length)]
+      sim.spawnDrone({ speed: config.speed, type, round: this.round })
+      this.dronesSpawned++
+      this.lastDroneSpawn = currentTime
+    }
+
+    // Round is cleared once every drone it spawned has been removed. Drones
+    // from requests come and go on their own and don't hold it up.
+    if (
+      this.dronesSpawned >= config.drones &&
+      !sim.drones.some((drone) => drone.round === this.round)
+    ) {
+      this.round++
+      this.startIntermission()
+    }
   }
 }
 
-class Globe {
-  constructor() {
-    this.renderer = null
-    this.scene = null
-    this.camera = null
-    this.earth = null
-    this.spikes = []
-    this.animationId = null
-    this.stars = null
+class GameState {
+  constructor(sim) {
+    this.sim = sim
+    this.maxEarthHealth = 100
+    this.surfaceDamage = 10 // Drone reached the surface
+    this.lingerDamage = 5 // Drone survived longer than droneLifetime
+    this.droneLifetime = 30000 // 30 seconds before a drone strikes anyway
+    this.droneSeparation = 0.03 // Drones closer than this steer apart
+    this.separationInterval = 4 // Steps between each drone's checks for them
+    this.maxEnergy = 100 // Each player's
+    this.energyRegenRate = 15 // Energy per second
+    this.cityDamageRate = 5 // Health per second from each drone in range
+
+    // Versus games
+    this.versusDuration = 180000 // The defender wins after 3 minutes
+    this.launchSpeed = [0.04, 0.06]
+    this.launchCooldown = 500 // Per drone type
+    this.cityBonus = 100 // Attacker's points for each city destroyed
+    this.reset()
+  }
 
-    // Camera control properties
-    this.isDragging = false
-    this.previousMousePosition = {
-      x: 0,
-      y: 0,
-    }
+  // `score`, `dronesDestroyed` and `bestCombo` are the defenders' together
+  reset() {
+    this.score = 0
+    this.dronesDestroyed = 0
+    this.bestCombo = 0
+    this.earthHealth = this.maxEarthHealth
+    this.isOver = false
+    this.overReason = null
+    this.winner = null // The winning player of a versus game
+  }
 
-    // Camera orbit properties
-    this.cameraDistance = 1
-    this.cameraRotation = {
-      x: Math.PI * 0.1, // slightly above equator
-      y: Math.PI * 0.6, // west of prime meridian
+  recordKill(drone, wave) {
+    // Every extra drone caught by the same wave raises its multiplier
+    wave.kills++
+    const points = drone.type.points * wave.kills
+    this.score += points
+    this.dronesDestroyed++
+    this.bestCombo = Math.max(this.bestCombo, wave.kills)
+
+    const player = this.sim.players[wave.player]
+    player.score += points
+    player.dronesDestroyed++
+    player.bestCombo = Math.max(player.bestCombo, wave.kills)
+    this.sim.emit("scoreChanged")
+  }
+
+  damageEarth(amount) {
+    if (this.isOver) return
+
+    const { attacker } = this.sim
+    if (attacker) attacker.score += Math.min(amount, this.earthHealth)
+    this.earthHealth = Math.max(0, this.earthHealth - amount)
+    this.sim.emit("scoreChanged")
+
+    if (this.earthHealth === 0) this.endGame("Earth has fallen")
+  }
+
+  damageCity(city, amount) {
+    if (this.isOver || city.isDestroyed) return
+
+    city.health = Math.max(0, city.health - amount)
+    this.sim.emit("cityDamaged", city)
+
+    if (city.health === 0) {
+      city.isDestroyed = true
+      if (this.sim.attacker) this.sim.attacker.score += this.cityBonus
+      this.sim.emit("cityDestroyed", city)
+      this.sim.emit("scoreChanged")
+      if (this.sim.cities.every((c) => c.isDestroyed)) {
+        this.endGame("Every city has fallen")
+      }
     }
+  }
 
-    // Zoom properties
-    this.minZoom = 0.1
-    this.maxZoom = 10
-    this.currentZoom = .7
-    this.zoomSpeed = 0.02
+  // Unless `winner` says otherwise, the attacker wins any versus game that
+  // ends
+  endGame(reason, winner = this.sim.attacker) {
+    this.isOver = true
+    this.overReason = reason
+    this.winner = winner
+    this.sim.emit("gameOver")
+  }
+}
+
+// Game modes: "solo" is one defender. "coop" adds a second defender on the
+// same globe. In "versus" the second player attacks instead, launching every
+// drone themselves, and the defender wins by holding out for versusDuration.
+const GAME_MODES = ["solo", "coop", "versus"]
+
+// What the attacker can launch in versus games, in the order of their keys
+const ATTACKER_DRONE_TYPES = [
+  "standard",
+  "scout",
+  "armored",
+  "shielded",
+  "bomber",
+  "leader",
+  "swarmer",
+]
+
+// Someone playing: a defender firing `weapons`, or the attacker launching
+// `droneTypes`. Each has their own energy, cooldowns and score.
+class Player {
+  constructor(sim, index, role) {
+    const { game } = sim
+    this.sim = sim
+    this.index = index
+    this.role = role
+    this.name = `Player ${index + 1}`
+    this.weapons = role === "defender" ? Object.keys(WEAPONS) : []
+    this.droneTypes = role === "attacker" ? [...ATTACKER_DRONE_TYPES] : []
+    this.energy = game.maxEnergy
+    this.cooldowns = {} // Weapon or drone type name to when it's ready again
+    this.score = 0
+    this.dronesDestroyed = 0
+    this.bestCombo = 0
+  }
+
+  regenerateEnergy(delta) {
+    const { maxEnergy, energyRegenRate } = this.sim.game
+    this.energy = Math.min(maxEnergy, this.energy + energyRegenRate * delta)
+  }
+
+  spendEnergy(amount) {
+    if (this.energy < amount) return false
+    this.energy -= amount
+    return true
+  }
+
+  isReady(name, energyCost) {
+    return (
+      this.sim.time >= (this.cooldowns[name] || 0) && this.energy >= energyCost
+    )
+  }
+}
+
+// Default cities to defend. Drones spawned from request traffic head for
+// them and any drone that gets within `range` wears their health down.
+// Scenario maps replace this list via parseCities.
+const CITIES = [
+  { name: "New York", lat: 40.71, long: -74.01 },
+  { name: "São Paulo", lat: -23.55, long: -46.63 },
+  { name: "London", lat: 51.51, long: -0.13 },
+  { name: "Lagos", lat: 6.52, long: 3.38 },
+  { name: "Cairo", lat: 30.04, long: 31.24 },
+  { name: "Mumbai", lat: 19.08, long: 72.88 },
+  { name: "Tokyo", lat: 35.68, long: 139.69 },
+  { name: "Sydney", lat: -33.87, long: 151.21 },
+]
+
+// Validates a city list loaded from JSON: either an array or {cities: [...]}
+// of {name, lat, long, health?}. Throws if anything is off.
+const parseCities = (data) => {
+  const cities = Array.isArray(data) ? data : data && data.cities
+  if (!Array.isArray(cities) || !cities.length) {
+    throw new Error("Expected a non-empty list of cities")
+  }
 
-    this.activeEMPWaves = []
-    this.empCooldown = false
-    this.empCooldownDuration = 20 // 300ms cooldown
+  return cities.map((city, i) => {
+    const { name, lat, long, health } = city || {}
+    if (typeof name !== "string" || !name) {
+      throw new Error(`City ${i + 1} has no name`)
+    }
+    if (!(Math.abs(lat) <= 90) || !(Math.abs(long) <= 180)) {
+      throw new Error(`${name} has an invalid lat/long`)
+    }
+    if (health !== undefined && !(health > 0)) {
+      throw new Error(`${name} has an invalid health`)
+    }
+    return health === undefined
+      ? { name, lat, long }
+      : { name, lat, long, health }
+  })
+}
 
-    // Add sound wave properties
-    this.activeSoundWaves = []
-    this.soundCooldown = false
-    this.soundCooldownDuration = 20 // 300ms cooldown like EMP
+// Request types that have their own drone type; others spawn "standard"
+const REQUEST_DRONE_TYPES = { read: "read", write: "write" }
 
+// Buckets drones by distance from the Earth's centre, and lazily by grid cell,
+// so a wave or city only tests the drones near it instead of all of them.
+// Rebuilt once per step.
+class DroneIndex {
+  constructor(cellSize = 0.05) {
+    this.cellSize = cellSize
     this.drones = []
-    this.lastDroneSpawn = 0
-    this.droneSpawnInterval = 1000 // Spawn a new drone every 2 seconds
-    this.maxDrones = 1000 // Maximum number of drones allowed
+    this.shells = []
+    this.cells = null
   }
 
-  createControlPanel() {
-    const controlPanel = document.createElement("div")
-    controlPanel.style.position = "fixed"
-    controlPanel.style.bottom = "20px"
-    controlPanel.style.right = "20px"
-    controlPanel.style.padding = "20px"
-    controlPanel.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
-    controlPanel.style.borderRadius = "15px"
-    controlPanel.style.zIndex = "1000"
-    controlPanel.style.display = "flex"
-    controlPanel.style.flexDirection = "column"
-    controlPanel.style.alignItems = "center"
-    controlPanel.style.gap = "10px"
+  build(drones) {
+    const { cellSize } = this
+    this.drones = drones
+    this.shells = []
+    this.cells = null
 
-    // Controller shape background
-    const controllerShape = document.createElement("div")
-    controllerShape.style.position = "absolute"
-    controllerShape.style.top = "0"
-    controllerShape.style.left = "0"
-    controllerShape.style.right = "0"
-    controllerShape.style.bottom = "0"
-    controllerShape.style.borderRadius = "15px"
-    controllerShape.style.border = "2px solid rgba(255, 255, 255, 0.2)"
-    controllerShape.style.boxShadow = "0 0 10px rgba(0, 0, 0, 0.5)"
-    controlPanel.appendChild(controllerShape)
+    drones.forEach((drone) => {
+      const shell = Math.floor(lengthVec3(drone.position) / cellSize)
+      if (!this.shells[shell]) this.shells[shell] = []
+      this.shells[shell].push(drone)
+    })
+  }
 
-    const buttonContainer = document.createElement("div")
-    buttonContainer.style.display = "flex"
-    buttonContainer.style.gap = "15px"
-    buttonContainer.style.position = "relative"
-    buttonContainer.style.zIndex = "1"
+  buildCells() {
+    const { cellSize } = this
+    this.cells = new Map()
 
-    const createButton = (text, color, action) => {
-      const button = document.createElement("button")
-      button.textContent = text
-      button.style.width = "40px"
-      button.style.height = "40px"
-      button.style.backgroundColor = color
-      button.style.color = "white"
-      button.style.border = "none"
-      button.style.borderRadius = "50%"
-      button.style.cursor = "pointer"
-      button.style.fontSize = "16px"
-      button.style.fontWeight = "bold"
-      button.style.boxShadow = "0 0 5px rgba(0, 0, 0, 0.3)"
-      button.style.transition = "all 0.2s ease"
+    this.drones.forEach((drone) => {
+      const { x, y, z } = drone.position
+      const key = this.cellKey(
+        Math.floor(x / cellSize),
+        Math.floor(y / cellSize),
+        Math.floor(z / cellSize),
+      )
+      if (!this.cells.has(key)) this.cells.set(key, [])
+      this.cells.get(key).push(drone)
+    })
+  }
+
+  cellKey(x, y, z) {
+    // Packs cell coordinates in [-512, 512) into one number
+    return ((x + 512) * 1024 + (y + 512)) * 1024 + (z + 512)
+  }
+
+  // Calls `visit` with every drone that may lie between `minRadius` and
+  // `maxRadius` of `center`. Callers still need an exact distance test.
+  query(center, minRadius, maxRadius, visit) {
+    const { cellSize } = this
+    if (maxRadius < 0) return
+
+    if (!center.x && !center.y && !center.z) {
+      // Centred on the Earth: only the radial shells in range
+      const first = Math.max(0, Math.floor(minRadius / cellSize))
+      const last = Math.min(
+        this.shells.length - 1,
+        Math.floor(maxRadius / cellSize),
+      )
+      for (let shell = first; shell <= last; shell++) {
+        if (this.shells[shell]) this.shells[shell].forEach(visit)
+      }
+      return
+    }
 
-      button.addEventListener("mouseenter", () => {
-        if (!this[action.toLowerCase() + "Cooldown"]) {
-          button.style.transform = "scale(1.1)"
-          button.style.boxShadow = "0 0 10px " + color
+    // Anywhere else: the grid cells overlapping the bounding box
+    if (!this.cells) this.buildCells()
+    const min = (value) => Math.floor((value - maxRadius) / cellSize)
+    const max = (value) => Math.floor((value + maxRadius) / cellSize)
+    for (let x = min(center.x); x <= max(center.x); x++) {
+      for (let y = min(center.y); y <= max(center.y); y++) {
+        for (let z = min(center.z); z <= max(center.z); z++) {
+          const cell = this.cells.get(this.cellKey(x, y, z))
+          if (cell) cell.forEach(visit)
         }
+      }
+    }
+  }
+}
+
+// Headless game logic: drones, waves, collisions and spawning, advanced in
+// fixed steps with a seeded RNG so the same seed and inputs always replay the
+// same game. Knows nothing about Three.js or the DOM; Globe subscribes to its
+// events and draws its state.
+class Simulation {
+  constructor(options = {}) {
+    this.step = 1000 / 60 // Fixed timestep in ms
+    this.maxDrones = options.maxDrones || 1000 // Maximum number of drones allowed
+    this.cityDefinitions = options.cities || CITIES
+    this.cities = []
+    this.mode = "solo"
+    if (options.mode) this.setMode(options.mode)
+    this.droneIndex = new DroneIndex()
+    this.listeners = {}
+    this.game = new GameState(this)
+    this.rounds = new RoundManager(this)
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(listener)
+    return this
+  }
+
+  emit(event, ...args) {
+    ;(this.listeners[event] || []).forEach((listener) => listener(...args))
+  }
+
+  newGame(seed = Math.floor(Math.random() * 2 ** 32)) {
+    this.seed = seed
+    this.random = createRng(seed)
+    this.time = 0
+    this.tick = 0
+    this.accumulator = 0
+    this.nextId = 1
+    this.drones = []
+    this.droneIndex.build(this.drones)
+    this.leaders = [] // Drones that swarmers flock to
+    this.hasRemovedDrones = false
+    this.waves = []
+    this.players = [new Player(this, 0, "defender")]
+    if (this.mode !== "solo") {
+      const role = this.mode === "versus" ? "attacker" : "defender"
+      this.players.push(new Player(this, 1, role))
+    }
+    this.attacker = this.players.find((p) => p.role === "attacker") || null
+    this.cities = this.cityDefinitions.map((city) => ({
+      ...city,
+      position: latLongToPoint(city.lat, city.long),
+      maxHealth: city.health || 100,
+      health: city.health || 100,
+      range: 0.15, // Drones closer than this wear the city down
+      blastRadius: 0.1, // Surface impacts closer than this hit the city
+      isDestroyed: false,
+    }))
+
+    this.emit("reset")
+    this.game.reset()
+    this.rounds.reset()
+    this.emit("scoreChanged")
+    return this
+  }
+
+  // A hash of the game state, for spotting players whose games have drifted
+  // apart. Positions are rounded so it only changes with real differences.
+  checksum() {
+    let hash = 17
+    const add = (value) => {
+      hash = (Math.imul(hash, 31) + Math.round(value * 1e6)) | 0
+    }
+    add(this.tick)
+    this.drones.forEach((drone) => {
+      add(drone.id)
+      add(drone.position.x)
+      add(drone.position.y)
+      add(drone.position.z)
+      add(drone.hitPoints)
+    })
+    add(this.game.earthHealth)
+    this.cities.forEach((city) => add(city.health))
+    this.players.forEach((player) => {
+      add(player.energy)
+      add(player.score)
+    })
+    return hash >>> 0
+  }
+
+  // Cities to use from the next new game on
+  setCities(definitions) {
+    this.cityDefinitions = definitions
+  }
+
+  // One of GAME_MODES, from the next new game on
+  setMode(mode) {
+    if (!GAME_MODES.includes(mode)) throw new Error(`Unknown game mode ${mode}`)
+    this.mode = mode
+  }
+
+  // Runs as many fixed steps as fit in `elapsed` ms, carrying the remainder
+  advance(elapsed) {
+    this.accumulator += elapsed
+    while (this.accumulator >= this.step) {
+      this.accumulator -= this.step
+      this.update()
+    }
+  }
+
+  update() {
+    this.tick++
+    this.time += this.step
+    const delta = this.step / 1000
+
+    // Spawn drones for the current round
+    if (!this.game.isOver) this.rounds.update(this.time)
+
+    // Recharge weapons
+    this.players.forEach((player) => player.regenerateEnergy(delta))
+
+    this.updateWaves()
+
+    // Move every drone, then resolve collisions in one pass over the index
+    this.leaders = this.drones.filter((drone) => drone.type.name === "leader")
+    this.drones.forEach((drone) => drone.update(delta))
+    this.removeDeadDrones()
+    this.droneIndex.build(this.drones)
+    this.resolveCollisions()
+    this.updateCities(delta)
+    this.removeDeadDrones()
+  }
+
+  resolveCollisions() {
+    this.waves.forEach((wave) => {
+      const { weapon } = wave
+      const { center, minRadius, maxRadius } = weapon.bounds(wave)
+      this.droneIndex.query(center, minRadius, maxRadius, (drone) => {
+        if (!drone.isRemoved && weapon.hits(wave, drone)) drone.hit(wave)
       })
-      button.addEventListener("mouseleave", () => {
-        button.style.transform = "scale(1)"
-        button.style.boxShadow = "0 0 5px rgba(0, 0, 0, 0.3)"
+    })
+  }
+
+  updateCities(delta) {
+    const { game } = this
+    this.cities.forEach((city) => {
+      if (city.isDestroyed) return
+
+      // Only the grid cells around the city can hold drones in its range
+      this.droneIndex.query(city.position, 0, city.range, (drone) => {
+        if (
+          !drone.isRemoved &&
+          distanceVec3(drone.position, city.position) < city.range
+        ) {
+          game.damageCity(city, game.cityDamageRate * delta)
+        }
       })
+    })
+  }
+
+  spawnDrone(options) {
+    const drone = new Drone(this, options)
+    this.drones.push(drone)
+    this.emit("droneSpawned", drone)
+    return drone
+  }
+
+  // Launches a drone from where a request came from ({lat, long, type}) at a
+  // random city. Returns the drone, or null if none can spawn right now.
+  spawnFromRequest(request) {
+    if (this.game.isOver || this.drones.length >= this.maxDrones) return null
+
+    const { lat, long, type } = request
+    const cities = this.cities.filter((city) => !city.isDestroyed)
+    if (!cities.length) return null
+    const city = cities[Math.floor(this.random() * cities.length)]
+    return this.spawnDrone({
+      type: REQUEST_DRONE_TYPES[type] || "standard",
+      position: setLengthVec3(latLongToPoint(lat, long), 0.8),
+      speed: [0.09, 0.12], // Fast enough to reach any city within its lifetime
+      city,
+    })
+  }
+
+  // Removed drones are dropped from `drones` in one batch per step
+  removeDrone(drone) {
+    drone.isRemoved = true
+    this.hasRemovedDrones = true
+  }
+
+  removeDeadDrones() {
+    if (!this.hasRemovedDrones) return
+    this.drones = this.drones.filter((drone) => !drone.isRemoved)
+    this.hasRemovedDrones = false
+  }
+
+  isWeaponReady(weapon, player = this.players[0]) {
+    return (
+      player.weapons.includes(weapon.name) &&
+      player.isReady(weapon.name, weapon.energyCost)
+    )
+  }
+
+  // `player` fires a weapon from the Earth's centre, or from `target`
+  // ({lat, long}) on the surface when given. Returns the new wave, or null if
+  // the weapon can't fire.
+  fire(name, target, player = this.players[0]) {
+    const weapon = WEAPONS[name]
+    if (this.game.isOver || !weapon || !player) return null
+    if (!this.isWeaponReady(weapon, player)) return null
+
+    player.spendEnergy(weapon.energyCost)
+    player.cooldowns[name] = this.time + weapon.cooldown
+
+    const wave = {
+      id: this.nextId++,
+      weapon,
+      player: player.index,
+      target,
+      origin: vec3(),
+      minScale: 1,
+      maxScale: weapon.maxScale,
+      scale: 1,
+      progress: 0,
+      startTime: this.time,
+      hits: 0, // Drones it has hit
+      kills: 0,
+    }
+
+    if (target) {
+      wave.origin = latLongToPoint(target.lat, target.long)
+      wave.minScale = weapon.targetedMinScale
+      wave.maxScale = weapon.targetedMaxScale
+      wave.scale = wave.minScale
+    }
+
+    this.waves.push(wave)
+    this.emit("waveFired", wave)
+    return wave
+  }
+
+  // The attacker sends a drone from above `target` ({lat, long}), or from
+  // somewhere random, at the nearest city still standing. It costs the drone
+  // type's points in energy. Returns the drone, or null if it can't launch.
+  launchDrone(typeName, target, player = this.attacker) {
+    const type = DRONE_TYPES[typeName]
+    if (this.game.isOver || this.rounds.isIntermission || !type || !player) {
+      return null
+    }
+    if (
+      !player.droneTypes.includes(typeName) ||
+      !player.isReady(typeName, type.points) ||
+      this.drones.length >= this.maxDrones
+    ) {
+      return null
+    }
+    const cities = this.cities.filter((city) => !city.isDestroyed)
+    if (!cities.length) return null
+
+    player.spendEnergy(type.points)
+    player.cooldowns[typeName] = this.time + this.game.launchCooldown
+
+    const drone = this.spawnDrone({
+      type: typeName,
+      position:
+        target && setLengthVec3(latLongToPoint(target.lat, target.long), 0.8),
+      speed: this.game.launchSpeed,
+    })
+    drone.city = cities.reduce((nearest, city) =>
+      distanceVec3(drone.position, city.position) <
+      distanceVec3(drone.position, nearest.position)
+        ? city
+        : nearest,
+    )
+    return drone
+  }
+
+  updateWaves() {
+    for (let i = this.waves.length - 1; i >= 0; i--) {
+      const wave = this.waves[i]
+      wave.progress = (this.time - wave.startTime) / wave.weapon.duration
+
+      if (wave.progress >= 1) {
+        this.waves.splice(i, 1)
+        this.emit("waveExpired", wave)
+      } else {
+        wave.weapon.updateWave(wave)
+      }
+    }
+  }
+}
+
+// Replays are compact JSON: the game's seed plus every weapon fire and a
+// sampled camera track, each stamped with the simulation tick it happened on.
+// Drones spawned from request traffic are recorded as "spawn" actions, and
+// ones the attacker sends in versus games as "launch" actions. Weapon fires
+// by the second player carry their index, with a null lat and long for full
+// waves.
+//   { version, seed, cities, mode, ticks,
+//     actions: [[tick, weapon, lat?, long?, player?],
+//               [tick, "spawn", lat, long, type],
+//               [tick, "launch", lat, long, type, player]],
+//     camera: [[tick, rotationX, rotationY, zoom]] }
+const REPLAY_VERSION = 1
+const SPAWN_ACTION = "spawn"
+const LAUNCH_ACTION = "launch"
+
+// Checks a replay, as JSON text or already parsed, all the way through so a
+// bad one is rejected before it touches a Simulation
+const parseReplay = (data) => {
+  const replay = typeof data === "string" ? JSON.parse(data) : data
+  if (
+    !replay ||
+    replay.version !== REPLAY_VERSION ||
+    typeof replay.seed !== "number" ||
+    !Number.isInteger(replay.ticks) ||
+    replay.ticks < 0 ||
+    !Array.isArray(replay.actions) ||
+    !Array.isArray(replay.camera)
+  ) {
+    throw new Error("Not a WaveWar replay")
+  }
+
+  const isTick = (tick) =>
+    Number.isInteger(tick) && tick >= 0 && tick <= replay.ticks
+  replay.actions.forEach((action, i) => {
+    if (
+      !Array.isArray(action) ||
+      !isTick(action[0]) ||
+      typeof action[1] !== "string"
+    ) {
+      throw new Error(`Replay action ${i + 1} is invalid`)
+    }
+  })
+  replay.camera.forEach((sample, i) => {
+    if (
+      !Array.isArray(sample) ||
+      sample.length !== 4 ||
+      !isTick(sample[0]) ||
+      !sample.slice(1).every(Number.isFinite)
+    ) {
+      throw new Error(`Replay camera sample ${i + 1} is invalid`)
+    }
+  })
+  if (replay.mode !== undefined && !GAME_MODES.includes(replay.mode)) {
+    throw new Error(`Unknown game mode ${replay.mode}`)
+  }
+  if (replay.cities !== undefined) parseCities(replay.cities)
+  return replay
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000
+
+// A replay action is [tick, ...entry]. The entries below are also what
+// NetworkSession sends between players. Targets keep full precision so
+// replaying them fires at exactly the same spot.
+const createFireAction = (weapon, target, player = 0) => {
+  const entry = [weapon]
+  if (target) {
+    entry.push(target.lat, target.long)
+  } else if (player) {
+    entry.push(null, null)
+  }
+  if (player) entry.push(player)
+  return entry
+}
+
+const createLaunchAction = (type, target, player) => {
+  const { lat = null, long = null } = target || {}
+  return [LAUNCH_ACTION, lat, long, type, player]
+}
+
+const createSpawnAction = ({ lat, long, type }) => [
+  SPAWN_ACTION,
+  lat,
+  long,
+  type,
+]
+
+// The index of the player an entry is for. Spawns come from the request
+// feed, not a player, and count as the first player's.
+const getActionPlayer = ([action, , , ...rest]) => {
+  if (action === SPAWN_ACTION) return 0
+  if (action === LAUNCH_ACTION) return rest[1]
+  return rest[0] || 0
+}
+
+// Runs an entry against `sim`. Returns what it made (a wave or a drone), or
+// null if nothing happened.
+const runReplayAction = (sim, entry) => {
+  const [action, lat, long, ...rest] = entry
+  const target = typeof lat === "number" ? { lat, long } : undefined
+  if (action === SPAWN_ACTION) {
+    return sim.spawnFromRequest({ lat, long, type: rest[0] })
+  }
+  const player = sim.players[getActionPlayer(entry)]
+  if (!player) return null
+  if (action === LAUNCH_ACTION) return sim.launchDrone(rest[0], target, player)
+  return sim.fire(action, target, player)
+}
+
+class ReplayRecorder {
+  constructor(seed, cities, mode = "solo") {
+    this.cameraSampleInterval = 6 // Ticks between camera samples (10 a second)
+    this.lastCamera = null
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      cities,
+      mode,
+      ticks: 0,
+      actions: [],
+      camera: [],
+    }
+  }
+
+  record(tick, entry) {
+    this.replay.actions.push([tick, ...entry])
+  }
+
+  recordAction(tick, action, target, player = 0) {
+    this.record(tick, createFireAction(action, target, player))
+  }
+
+  recordLaunch(tick, type, target, player) {
+    this.record(tick, createLaunchAction(type, target, player))
+  }
+
+  recordSpawn(tick, request) {
+    this.record(tick, createSpawnAction(request))
+  }
+
+  // Samples the camera, skipping samples that are too soon or unchanged
+  recordCamera(tick, rotation, zoom) {
+    const camera = [round3(rotation.x), round3(rotation.y), round3(zoom)]
+    const { lastCamera } = this
+    if (lastCamera) {
+      if (tick - lastCamera[0] < this.cameraSampleInterval) return
+      if (camera.every((value, i) => value === lastCamera[i + 1])) return
+    }
+
+    this.lastCamera = [tick, ...camera]
+    this.replay.camera.push(this.lastCamera)
+  }
+
+  finish(tick) {
+    this.replay.ticks = tick
+    return this.replay
+  }
+}
+
+// Re-runs a replay through a Simulation: the same seed and the same fires on
+// the same ticks reproduce the original game exactly.
+class ReplayPlayer {
+  constructor(sim, replay) {
+    this.sim = sim
+    this.replay = replay
+    this.speed = 1
+    this.isPaused = false
+    this.seek(0)
+  }
+
+  get isFinished() {
+    return this.sim.tick >= this.replay.ticks
+  }
+
+  // Rewinds to the start and fast-forwards to `tick`
+  seek(tick) {
+    if (this.replay.cities) this.sim.setCities(parseCities(this.replay.cities))
+    this.sim.setMode(this.replay.mode || "solo")
+    this.sim.newGame(this.replay.seed)
+    this.actionIndex = 0
+    this.accumulator = 0
+    while (this.sim.tick < tick && !this.isFinished) this.step()
+  }
+
+  advance(elapsed) {
+    if (this.isPaused) return
+
+    this.accumulator += elapsed * this.speed
+    while (this.accumulator >= this.sim.step && !this.isFinished) {
+      this.accumulator -= this.sim.step
+      this.step()
+    }
+  }
+
+  step() {
+    const { actions } = this.replay
+    while (
+      this.actionIndex < actions.length &&
+      actions[this.actionIndex][0] <= this.sim.tick
+    ) {
+      runReplayAction(this.sim, actions[this.actionIndex++].slice(1))
+    }
+    this.sim.update()
+  }
+
+  // The latest camera sample at or before the current tick
+  getCamera() {
+    let sample = null
+    for (const entry of this.replay.camera) {
+      if (entry[0] > this.sim.tick) break
+      sample = entry
+    }
+    if (!sample) return null
+
+    const [, x, y, zoom] = sample
+    return { rotation: { x, y }, zoom }
+  }
+}
+
+// Parses one request event, e.g. {"lat": 40.7, "long": -74, "type": "read"}.
+// Accepts `lon`/`lng` for longitude. Returns null if it has no valid location.
+const parseRequestEvent = (data) => {
+  const event = typeof data === "string" ? JSON.parse(data) : data
+  if (!event || typeof event !== "object") return null
+
+  const lat = Number(event.lat)
+  const long = Number(event.long ?? event.lon ?? event.lng)
+  if (!Number.isFinite(lat) || !Number.isFinite(long)) return null
+  if (Math.abs(lat) > 90 || Math.abs(long) > 180) return null
+
+  return { ...event, lat, long, type: event.type || "read" }
+}
+
+// Streams request events from a WebSocket (ws:// or wss://) or Server-Sent
+// Events (http:// or https://) endpoint, or from a pasted NDJSON log, and hands
+// each valid event to `onEvent`. Messages may hold one event or NDJSON lines.
+class RequestFeed {
+  constructor(onEvent, onStatus = () => {}) {
+    this.onEvent = onEvent
+    this.onStatus = onStatus
+    this.source = null
+    this.url = null
+    this.reconnectDelay = 3000 // WebSockets retry after 3 seconds
+    this.reconnectTimer = null
+  }
+
+  connect(url) {
+    this.disconnect()
+    this.url = url
+
+    if (/^wss?:\/\//.test(url)) {
+      const socket = new WebSocket(url)
+      socket.addEventListener("open", () =>
+        this.onStatus(`Connected to ${url}`),
+      )
+      socket.addEventListener("message", (e) => this.ingest(e.data))
+      socket.addEventListener("close", () => {
+        if (this.source !== socket) return
+        this.onStatus(`Disconnected from ${url}, retrying`)
+        this.reconnectTimer = setTimeout(
+          () => this.connect(url),
+          this.reconnectDelay,
+        )
+      })
+      this.source = socket
+    } else {
+      // EventSource reconnects by itself
+      const eventSource = new EventSource(url)
+      eventSource.addEventListener("open", () =>
+        this.onStatus(`Connected to ${url}`),
+      )
+      eventSource.addEventListener("message", (e) => this.ingest(e.data))
+      eventSource.addEventListener("error", () =>
+        this.onStatus(`Lost ${url}, retrying`),
+      )
+      this.source = eventSource
+    }
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer)
+    const { source } = this
+    this.source = null
+    if (source) {
+      source.close()
+      this.onStatus(`Disconnected from ${this.url}`)
+    }
+  }
+
+  // Feeds NDJSON text through the same path as live messages. Returns how
+  // many events were accepted and how many lines were skipped.
+  ingest(text) {
+    let accepted = 0
+    let skipped = 0
+
+    String(text)
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        let event = null
+        try {
+          event = parseRequestEvent(line)
+        } catch (err) {
+          // Malformed JSON is counted below
+        }
+
+        if (event) {
+          accepted++
+          this.onEvent(event)
+        } else {
+          skipped++
+        }
+      })
+
+    return { accepted, skipped }
+  }
+}
+
+// Keeps the same game running on every player's globe through the relay in
+// relayServer.js, in lockstep: nothing is sent but the game's seed and the
+// players' actions. Each action is queued for inputDelay ticks ahead and
+// every globe runs the tick once it has every player's actions for it, so
+// the games only drift apart if a simulation isn't deterministic. Checksums
+// catch that, and the host (the lowest numbered player) then sends the
+// drifting player the game so far as a replay to catch up from.
+//
+// Messages are JSON objects with a `type`. The relay adds the sender's
+// `player` number to each and sends its own welcome, joined, left and full.
+class NetworkSession {
+  constructor(sim) {
+    this.sim = sim
+    this.listeners = {}
+    this.socket = null
+    this.url = null
+    this.player = null // Our player number, from the relay
+    this.peers = [] // Everyone else in the room
+    this.members = [] // Players in the current game, whose actions we wait for
+    this.host = null // Who started the current game
+    this.game = null // The current game's seed, to drop stale messages
+    this.recorder = null // Every action run so far, for resyncs
+    this.inputDelay = 6 // Ticks between queueing an action and running it
+    this.minInputDelay = 3
+    this.maxInputDelay = 30
+    this.maxStepsPerFrame = 10 // Catching up after a stall
+    this.maxBacklog = 500 // ms of game time to catch up on at most
+    this.checksumInterval = 120 // Ticks (2 seconds)
+    this.historyLength = 600 // Ticks of actions kept for resyncs
+    this.pingInterval = 2000
+    this.pingTimer = null
+    this.stallNotice = 250 // ms
+    this.latency = 0 // Round trip to the other players in ms
+    this.reset()
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(listener)
+    return this
+  }
+
+  emit(event, ...args) {
+    ;(this.listeners[event] || []).forEach((listener) => listener(...args))
+  }
+
+  get isConnected() {
+    return this.player !== null
+  }
+
+  get isHost() {
+    return this.isConnected && this.peers.every((peer) => peer > this.player)
+  }
+
+  // Waiting long enough on another player to be worth showing
+  get isStalled() {
+    return (
+      this.stalledSince !== null &&
+      performance.now() - this.stalledSince >= this.stallNotice
+    )
+  }
+
+  reset() {
+    this.accumulator = 0
+    this.inputs = new Map() // Tick to an array of each player's entries
+    this.pending = [] // Our entries for the next tick we send
+    this.nextInputTick = 0
+    this.checksums = new Map() // Tick to our recent checksums, on the host
+    this.remoteChecksums = [] // [tick, player, checksum] ahead of the host
+    this.resyncedAt = {} // Player to the tick they were last resynced to
+    this.stalledSince = null
+    this.waitingFor = null
+  }
+
+  connect(url) {
+    this.disconnect()
+    this.url = url
+
+    const socket = new WebSocket(url)
+    socket.addEventListener("message", (e) => {
+      let message = null
+      try {
+        message = JSON.parse(e.data)
+      } catch (err) {
+        return // Not from the relay
+      }
+      if (message && typeof message === "object") this.handleMessage(message)
+    })
+    socket.addEventListener("close", () => {
+      if (this.socket !== socket) return
+      this.disconnect()
+      this.emit("close")
+    })
+    this.socket = socket
+
+    this.pingTimer = setInterval(
+      () => this.send({ type: "ping", time: performance.now() }),
+      this.pingInterval,
+    )
+  }
+
+  disconnect() {
+    clearInterval(this.pingTimer)
+    const { socket } = this
+    this.socket = null
+    if (socket) socket.close()
+    this.player = null
+    this.peers = []
+    this.members = []
+    this.game = null
+    this.reset()
+  }
+
+  send(message) {
+    const { socket } = this
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  // Messages come from other players through the relay, so nothing in them
+  // is trusted until checked. The relay stamps every one with its sender.
+  handleMessage(message) {
+    const { type, player } = message
+    if (!Number.isInteger(player) && type !== "full") return
+
+    if (type === "welcome") {
+      if (!Array.isArray(message.players)) return
+      this.player = player
+      this.peers = message.players.filter(
+        (peer) => Number.isInteger(peer) && peer !== player,
+      )
+      this.emit("welcome", player)
+    } else if (type === "joined") {
+      if (!this.peers.includes(player)) this.peers.push(player)
+      this.emit("joined", player)
+    } else if (type === "left") {
+      // The game carries on without them
+      this.peers = this.peers.filter((peer) => peer !== player)
+      this.members = this.members.filter((member) => member !== player)
+      this.emit("left", player)
+    } else if (type === "full") {
+      this.emit("full")
+    } else if (type === "ping") {
+      this.send({ type: "pong", time: message.time, to: player })
+    } else if (type === "pong") {
+      if (message.to === this.player && Number.isFinite(message.time)) {
+        this.latency = performance.now() - message.time
+      }
+    } else if (type === "start") {
+      this.begin(message)
+    } else if (message.game !== this.game) {
+      // Left over from an earlier game
+    } else if (type === "input") {
+      this.receiveInput(message)
+    } else if (type === "checksum") {
+      const { tick, checksum } = message
+      if (Number.isInteger(tick) && Number.isInteger(checksum)) {
+        this.compareChecksum(tick, player, checksum)
+      }
+    } else if (type === "resync") {
+      if (message.for === this.player && player === this.host) {
+        let replay
+        try {
+          replay = parseReplay(message.replay)
+        } catch (err) {
+          return
+        }
+        this.resync(replay)
+      }
+    } else if (type === "pause") {
+      this.emit("pause", Boolean(message.isPaused))
+    }
+  }
+
+  // The host starts a new game for everyone in the room. Online games always
+  // have room for two.
+  start(cities, mode) {
+    if (!this.isHost) return
+
+    // Enough delay to cover one way of a round trip, plus a little
+    const ticks = Math.ceil(this.latency / 2 / this.sim.step) + 2
+    const message = {
+      type: "start",
+      seed: Math.floor(Math.random() * 2 ** 32),
+      cities,
+      mode: mode === "solo" ? "coop" : mode,
+      players: [this.player, ...this.peers].sort((a, b) => a - b),
+      inputDelay: Math.min(
+        this.maxInputDelay,
+        Math.max(this.minInputDelay, ticks),
+      ),
+    }
+    this.send(message)
+    this.begin({ ...message, player: this.player })
+  }
+
+  begin({ seed, cities, mode, players, inputDelay, player }) {
+    if (
+      !GAME_MODES.includes(mode) ||
+      !Number.isInteger(seed) ||
+      !Array.isArray(players) ||
+      !Number.isInteger(inputDelay) ||
+      inputDelay < 0
+    ) {
+      return
+    }
+    let cityDefinitions
+    try {
+      cityDefinitions = parseCities(cities)
+    } catch (err) {
+      return
+    }
+
+    this.host = player
+    this.game = seed
+    this.members = players.filter(
+      (member) => member === this.player || this.peers.includes(member),
+    )
+    this.inputDelay = inputDelay
+    this.reset()
+    this.nextInputTick = inputDelay // Earlier ticks have no actions
+
+    this.sim.setCities(cityDefinitions)
+    this.sim.setMode(mode)
+    this.sim.newGame(seed)
+    this.recorder = new ReplayRecorder(seed, cities, mode)
+    this.emit("start")
+  }
+
+  // Sends an entry (see createFireAction) from our player, to run on every
+  // globe a few ticks from now
+  queue(entry) {
+    if (this.game !== null) this.pending.push(entry)
+  }
+
+  // Only the host sends request spawns, and players only act for themselves
+  isAllowed(entry, player) {
+    if (entry[0] === SPAWN_ACTION) return player === this.host
+    return getActionPlayer(entry) === player
+  }
+
+  receiveInput({ tick, actions, player }) {
+    if (!this.members.includes(player) || !Array.isArray(actions)) return
+    // Missing its tick, or too late to use
+    if (!Number.isInteger(tick) || tick < this.sim.tick) return
+
+    const entries = actions.filter(
+      (entry) => Array.isArray(entry) && this.isAllowed(entry, player),
+    )
+    this.getInputs(tick)[player] = entries
+  }
+
+  getInputs(tick) {
+    if (!this.inputs.has(tick)) this.inputs.set(tick, [])
+    return this.inputs.get(tick)
+  }
+
+  // Runs as many ticks as fit in `elapsed` ms, catching up after a stall
+  advance(elapsed) {
+    if (this.game === null) return
+
+    this.accumulator = Math.min(this.accumulator + elapsed, this.maxBacklog)
+    let steps = 0
+    while (this.accumulator >= this.sim.step && steps < this.maxStepsPerFrame) {
+      if (!this.step()) return
+      this.accumulator -= this.sim.step
+      steps++
+    }
+  }
+
+  // Runs the next tick if every member's actions for it are in. Returns
+  // false while waiting for them.
+  step() {
+    const { sim } = this
+
+    // Our actions go out once per tick, inputDelay ticks ahead
+    while (this.nextInputTick <= sim.tick + this.inputDelay) {
+      const tick = this.nextInputTick++
+      const actions = this.pending
+      this.pending = []
+      this.getInputs(tick)[this.player] = actions
+      this.send({ type: "input", game: this.game, tick, actions })
+    }
+
+    const inputs = this.inputs.get(sim.tick) || []
+    if (sim.tick >= this.inputDelay) {
+      const missing = this.members.find((member) => !inputs[member])
+      if (missing !== undefined) {
+        if (this.stalledSince === null) this.stalledSince = performance.now()
+        this.waitingFor = missing
+        return false
+      }
+    }
+    this.stalledSince = null
+    this.waitingFor = null
+
+    // Everyone runs the same actions in the same order
+    this.members.forEach((member) => {
+      ;(inputs[member] || []).forEach((entry) => {
+        const result = runReplayAction(sim, entry)
+        this.recorder.record(sim.tick, entry)
+        this.emit("action", entry, result)
+      })
+    })
+    // Kept a while in case the host resyncs us to before this tick
+    this.inputs.delete(sim.tick - this.historyLength)
+    sim.update()
+
+    if (sim.tick % this.checksumInterval === 0) {
+      const checksum = sim.checksum()
+      if (this.isHost) {
+        this.checksums.set(sim.tick, checksum)
+        this.checksums.delete(sim.tick - this.historyLength)
+        this.remoteChecksums = this.remoteChecksums.filter((args) => {
+          if (args[0] > sim.tick) return true
+          this.compareChecksum(...args)
+          return false
+        })
+      } else {
+        const { game } = this
+        this.send({ type: "checksum", game, tick: sim.tick, checksum })
+      }
+    }
+    return true
+  }
+
+  // On the host: sends a player whose game has drifted from ours the game so
+  // far, to pick up from
+  compareChecksum(tick, player, checksum) {
+    if (!this.isHost || tick < (this.resyncedAt[player] || 0)) return
+    if (tick > this.sim.tick) {
+      this.remoteChecksums.push([tick, player, checksum])
+      return
+    }
+
+    const ours = this.checksums.get(tick)
+    if (ours === undefined || ours === checksum) return
+    this.resyncedAt[player] = this.sim.tick
+    this.send({
+      type: "resync",
+      game: this.game,
+      for: player,
+      replay: this.recorder.finish(this.sim.tick),
+    })
+    this.emit("resync", player)
+  }
+
+  // Replays the host's game up to where the host is, then carries on from
+  // there with the actions we already have
+  resync(replay) {
+    new ReplayPlayer(this.sim, replay).seek(replay.ticks)
+    this.inputs.forEach((inputs, tick) => {
+      if (tick < this.sim.tick) this.inputs.delete(tick)
+    })
+    this.recorder = new ReplayRecorder(replay.seed, replay.cities, replay.mode)
+    this.recorder.replay.actions = replay.actions.slice()
+    this.accumulator = 0
+    this.emit("resync", this.player)
+  }
+}
+
+// Actions that last as long as their key or button is held, rather than
+// happening once per press
+const HELD_ACTIONS = [
+  "orbitLeft",
+  "orbitRight",
+  "orbitUp",
+  "orbitDown",
+  "zoomIn",
+  "zoomOut",
+  "aim",
+]
+
+const ACTION_LABELS = {
+  orbitLeft: "Orbit left",
+  orbitRight: "Orbit right",
+  orbitUp: "Orbit up",
+  orbitDown: "Orbit down",
+  zoomIn: "Zoom in",
+  zoomOut: "Zoom out",
+  aim: "Aim",
+  fireSelected: "Fire at crosshair",
+  pause: "Pause",
+  restart: "Restart",
+  fullscreen: "Full screen",
+  previousDrone: "Previous drone",
+  nextDrone: "Next drone",
+}
+
+// The second player's actions are bound under a "2:" prefix, e.g. "2:EMP", in
+// the same table as the first player's, so one key never does two things.
+// Their gamepad buttons are read from the second gamepad.
+const toPlayerAction = (action, player) =>
+  player ? `${player + 1}:${action}` : action
+
+const parsePlayerAction = (action) => {
+  const match = /^(\d+):(.+)$/.exec(action)
+  return match
+    ? { player: Number(match[1]) - 1, name: match[2] }
+    : { player: 0, name: action }
+}
+
+// Keys (KeyboardEvent.key as read by readKey) and standard gamepad button indexes
+// for each action. The camera orbits with the arrows or IJKL, as WASD would
+// clash with weapon keys like S. Weapons use their `key` and take the face
+// buttons in order.
+const createDefaultBindings = () => {
+  const bindings = {
+    orbitLeft: { keys: ["arrowleft", "j"], buttons: [14] },
+    orbitRight: { keys: ["arrowright", "l"], buttons: [15] },
+    orbitUp: { keys: ["arrowup", "i"], buttons: [12] },
+    orbitDown: { keys: ["arrowdown", "k"], buttons: [13] },
+    zoomIn: { keys: ["="], buttons: [5] },
+    zoomOut: { keys: ["-"], buttons: [4] },
+    aim: { keys: ["shift"], buttons: [6] },
+    fireSelected: { keys: [" "], buttons: [7] },
+    pause: { keys: ["p"], buttons: [9] },
+    restart: { keys: ["r"], buttons: [8] },
+    fullscreen: { keys: ["f"], buttons: [] },
+  }
+  Object.values(WEAPONS).forEach((weapon, index) => {
+    bindings[weapon.name] = {
+      keys: [weapon.key],
+      buttons: index < 4 ? [index] : [],
+    }
+  })
+
+  // The second player takes the number row: 8 and 9 for weapons as a
+  // defender, 1 to 7 for drones as the attacker, 0 to aim and Enter to fire
+  // at the crosshair
+  const second = {
+    aim: { keys: ["0"], buttons: [6] },
+    fireSelected: { keys: ["enter"], buttons: [7] },
+    previousDrone: { keys: [], buttons: [4] },
+    nextDrone: { keys: [], buttons: [5] },
+    pause: { keys: [], buttons: [9] },
+  }
+  const weaponKeys = ["8", "9"]
+  Object.values(WEAPONS).forEach((weapon, index) => {
+    second[weapon.name] = {
+      keys: weaponKeys[index] ? [weaponKeys[index]] : [],
+      buttons: index < 4 ? [index] : [],
+    }
+  })
+  ATTACKER_DRONE_TYPES.forEach((type, index) => {
+    second[type] = { keys: index < 9 ? [String(index + 1)] : [], buttons: [] }
+  })
+  Object.keys(second).forEach((action) => {
+    bindings[toPlayerAction(action, 1)] = second[action]
+  })
+  return bindings
+}
+
+// The defaults with `saved` bindings on top, so actions added since they were
+// saved still get bound
+const loadBindings = (saved = {}) => {
+  const bindings = createDefaultBindings()
+  Object.keys(bindings).forEach((action) => {
+    const { keys, buttons } = saved[action] || {}
+    if (Array.isArray(keys)) bindings[action].keys = keys.map(String)
+    if (Array.isArray(buttons)) {
+      bindings[action].buttons = buttons.filter(Number.isInteger)
+    }
+  })
+  return bindings
+}
+
+const formatAction = (action) => {
+  const { player, name } = parsePlayerAction(action)
+  const label = DRONE_TYPES[name]
+    ? `Launch ${name}`
+    : ACTION_LABELS[name] || name
+  return player ? `P${player + 1} ${label}` : label
+}
+
+// Shift changes KeyboardEvent.key, so while player one holds Shift to aim a
+// press of = would read as +, or player two's 8 as *. Keys are read as their
+// unshifted selves (on a US layout) so bindings work either way.
+const UNSHIFTED_KEYS = {
+  "~": "`",
+  "!": "1",
+  "@": "2",
+  "#": "3",
+  $: "4",
+  "%": "5",
+  "^": "6",
+  "&": "7",
+  "*": "8",
+  "(": "9",
+  ")": "0",
+  _: "-",
+  "+": "=",
+  "{": "[",
+  "}": "]",
+  "|": "\\",
+  ":": ";",
+  '"': "'",
+  "<": ",",
+  ">": ".",
+  "?": "/",
+}
+
+const readKey = (event) => {
+  const key = event.key.toLowerCase()
+  return UNSHIFTED_KEYS[key] || key
+}
+
+const formatKey = (key) => {
+  if (key === " ") return "Space"
+  if (key.startsWith("arrow")) {
+    return key.slice(5, 6).toUpperCase() + key.slice(6)
+  }
+  return key.length === 1
+    ? key.toUpperCase()
+    : key[0].toUpperCase() + key.slice(1)
+}
+
+// Everything kept between visits lives under one localStorage key as
+// { version, highScores, stats, settings }. Saves from older versions are
+// brought up to SAVE_VERSION by MIGRATIONS, one version at a time.
+const SAVE_STORAGE_KEY = "wavewar.save"
+const SAVE_VERSION = 1
+const MAX_HIGH_SCORES = 10
+
+const createSaveData = () => ({
+  version: SAVE_VERSION,
+  // { score, date, round, dronesDestroyed, accuracy }, best first
+  highScores: [],
+  // Lifetime totals. `weapons` maps a weapon name to { fired, hits, kills }
+  // where hits counts waves that hit at least one drone.
+  stats: { gamesPlayed: 0, dronesDestroyed: 0, weapons: {} },
+  // Only what the player has set; see Globe.applySettings()
+  settings: {},
+})
+
+// MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = {
+  // Version 0 was key bindings alone, under their own key
+  0: ({ bindings }) => ({
+    version: 1,
+    highScores: [],
+    stats: { gamesPlayed: 0, dronesDestroyed: 0, weapons: {} },
+    settings: { bindings },
+  }),
+}
+const LEGACY_BINDINGS_KEY = "wavewar.bindings"
+
+// Entries missing anything the high score table shows are dropped
+const isHighScore = (entry) =>
+  Boolean(entry) &&
+  ["score", "round", "dronesDestroyed", "accuracy"].every((field) =>
+    Number.isFinite(entry[field]),
+  ) &&
+  typeof entry.date === "string" &&
+  !Number.isNaN(Date.parse(entry.date))
+
+// Reads a save, e.g. an exported one, migrating it to the current version.
+// Throws if it isn't a save this version understands.
+const parseSaveData = (text) => {
+  let data = JSON.parse(text)
+  if (!data || typeof data !== "object" || !Number.isInteger(data.version)) {
+    throw new Error("Not a WaveWar save")
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Save version ${data.version} is newer than this game`)
+  }
+  if (data.version < SAVE_VERSION && !MIGRATIONS[data.version]) {
+    throw new Error("Not a WaveWar save")
+  }
+
+  while (data.version < SAVE_VERSION) data = MIGRATIONS[data.version](data)
+
+  // Fill in anything missing or mangled
+  const save = createSaveData()
+  if (Array.isArray(data.highScores)) {
+    save.highScores = data.highScores
+      .filter(isHighScore)
+      .map(({ score, date, round, dronesDestroyed, accuracy }) => ({
+        score,
+        date,
+        round,
+        dronesDestroyed,
+        accuracy,
+      }))
+      .slice(0, MAX_HIGH_SCORES)
+  }
+  if (data.stats && typeof data.stats === "object") {
+    const { gamesPlayed, dronesDestroyed, weapons } = data.stats
+    if (Number.isFinite(gamesPlayed)) save.stats.gamesPlayed = gamesPlayed
+    if (Number.isFinite(dronesDestroyed)) {
+      save.stats.dronesDestroyed = dronesDestroyed
+    }
+    if (weapons && typeof weapons === "object") {
+      Object.keys(weapons).forEach((name) => {
+        const counts = weapons[name]
+        if (!counts || typeof counts !== "object") return
+        const { fired, hits, kills } = counts
+        if ([fired, hits, kills].every(Number.isFinite)) {
+          save.stats.weapons[name] = { fired, hits, kills }
+        }
+      })
+    }
+  }
+  if (data.settings && typeof data.settings === "object") {
+    save.settings = data.settings
+  }
+  return save
+}
+
+const loadSaveData = () => {
+  try {
+    const text = localStorage.getItem(SAVE_STORAGE_KEY)
+    if (text) return parseSaveData(text)
+
+    const bindings = localStorage.getItem(LEGACY_BINDINGS_KEY)
+    if (bindings) {
+      return parseSaveData(
+        JSON.stringify({ version: 0, bindings: JSON.parse(bindings) }),
+      )
+    }
+  } catch (err) {
+    // Unreadable or unavailable storage starts afresh
+  }
+  return createSaveData()
+}
+
+const writeSaveData = (save) => {
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(save))
+    localStorage.removeItem(LEGACY_BINDINGS_KEY)
+  } catch (err) {
+    // Progress just won't outlive the page
+  }
+}
+
+// Turns frame timestamps into milliseconds of game time. Long gaps (a
+// backgrounded tab, a breakpoint) are clamped to `maxDelta`, and no time
+// passes while paused, so everything driven by it freezes together.
+class Clock {
+  constructor(maxDelta = 100) {
+    this.maxDelta = maxDelta
+    this.time = 0
+    this.lastTime = null
+    this.isPaused = false
+  }
+
+  tick(now = performance.now()) {
+    const elapsed = this.lastTime === null ? 0 : now - this.lastTime
+    this.lastTime = now
+
+    const delta = this.isPaused
+      ? 0
+      : Math.min(Math.max(elapsed, 0), this.maxDelta)
+    this.time += delta
+    return delta
+  }
+}
+
+// Procedural Web Audio: every sound is synthesized, nothing is loaded. Waves
+// sweep, the drones nearest the camera hum, explosions burst, and a low pad
+// plays underneath, all placed in 3D around the camera. Browsers only allow
+// audio after a user gesture, so nothing plays until resume() is called from
+// one. Without Web Audio every method does nothing.
+class AudioEngine {
+  constructor() {
+    this.context = null
+    this.volumes = { master: 0.8, music: 0.3, effects: 0.8 }
+    this.isMuted = false
+    this.isPaused = false
+    this.maxHums = 6 // Humming every drone would be noise
+    this.hums = []
+    this.noise = null // A second of white noise shared by explosions
+
+    // At most `maxBurst` sounds start within `burstWindow` seconds, so an EMP
+    // through a swarm doesn't play a hundred explosions at once
+    this.maxBurst = 4
+    this.burstWindow = 0.05
+    this.burstStart = 0
+    this.burstCount = 0
+  }
+
+  resume() {
+    if (!this.context) {
+      const AudioContext =
+        typeof window !== "undefined" &&
+        (window.AudioContext || window.webkitAudioContext)
+      if (!AudioContext) return
+      this.createGraph(new AudioContext())
+    }
+    if (this.context.state === "suspended" && !this.isPaused) {
+      this.context.resume()
+    }
+  }
+
+  createGraph(context) {
+    this.context = context
+    this.master = context.createGain()
+    this.master.connect(context.destination)
+    this.music = context.createGain()
+    this.music.connect(this.master)
+    this.effects = context.createGain()
+    this.effects.connect(this.master)
+    this.applyVolumes()
+
+    const { sampleRate } = context
+    this.noise = context.createBuffer(1, sampleRate, sampleRate)
+    const samples = this.noise.getChannelData(0)
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1
+
+    this.startMusic()
+    for (let i = 0; i < this.maxHums; i++) this.hums.push(this.createHum())
+  }
+
+  applyVolumes() {
+    if (!this.context) return
+    const { master, music, effects } = this.volumes
+    this.master.gain.value = this.isMuted ? 0 : master
+    this.music.gain.value = music
+    this.effects.gain.value = effects
+  }
+
+  // `channel` is "master", "music" or "effects"; `value` is 0 to 1
+  setVolume(channel, value) {
+    this.volumes[channel] = Math.min(1, Math.max(0, value))
+    this.applyVolumes()
+  }
+
+  setMuted(isMuted) {
+    this.isMuted = isMuted
+    this.applyVolumes()
+  }
+
+  // Suspending the context freezes hums and sweeps along with the game
+  setPaused(isPaused) {
+    this.isPaused = isPaused
+    if (!this.context) return
+    if (isPaused) {
+      this.context.suspend()
+    } else {
+      this.context.resume()
+    }
+  }
+
+  canPlay() {
+    if (!this.context || this.isMuted) return false
+
+    const now = this.context.currentTime
+    if (now - this.burstStart > this.burstWindow) {
+      this.burstStart = now
+      this.burstCount = 0
+    }
+    return this.burstCount++ < this.maxBurst
+  }
+
+  // One-shot sounds disconnect theirs when they end, so finished sounds drop
+  // out of the audio graph
+  createPanner(position) {
+    const panner = this.context.createPanner()
+    panner.panningModel = "HRTF"
+    panner.distanceModel = "inverse"
+    panner.refDistance = 0.5 // The Earth's radius
+    panner.connect(this.effects)
+    this.place(panner, position)
+    return panner
+  }
+
+  // Older browsers only have the deprecated setPosition()
+  place(node, { x, y, z }) {
+    if (node.positionX) {
+      node.positionX.value = x
+      node.positionY.value = y
+      node.positionZ.value = z
+    } else {
+      node.setPosition(x, y, z)
+    }
+  }
+
+  // A detuned drone with a slowly opening filter
+  startMusic() {
+    const { context } = this
+    const filter = context.createBiquadFilter()
+    filter.type = "lowpass"
+    filter.frequency.value = 300
+    const pad = context.createGain()
+    pad.gain.value = 0.15
+    filter.connect(pad)
+    pad.connect(this.music)
+
+    const sweep = context.createOscillator()
+    sweep.frequency.value = 0.05
+    const sweepDepth = context.createGain()
+    sweepDepth.gain.value = 200
+    sweep.connect(sweepDepth)
+    sweepDepth.connect(filter.frequency)
+    sweep.start()
+
+    const notes = [
+      ["sawtooth", 55],
+      ["sawtooth", 55.4],
+      ["triangle", 82.4],
+    ]
+    notes.forEach(([type, frequency]) => {
+      const oscillator = context.createOscillator()
+      oscillator.type = type
+      oscillator.frequency.value = frequency
+      oscillator.connect(filter)
+      oscillator.start()
+    })
+  }
+
+  createHum() {
+    const { context } = this
+    const oscillator = context.createOscillator()
+    oscillator.type = "sawtooth"
+    const filter = context.createBiquadFilter()
+    filter.type = "lowpass"
+    filter.frequency.value = 400
+    const gain = context.createGain()
+    gain.gain.value = 0
+    const panner = this.createPanner(vec3())
+
+    oscillator.connect(filter)
+    filter.connect(gain)
+    gain.connect(panner)
+    oscillator.start()
+    return { oscillator, gain, panner }
+  }
+
+  // Sweeps from the weapon's start to end frequency over its duration, from
+  // the wave's origin when it was aimed at the surface
+  playWave(wave) {
+    if (!this.canPlay()) return
+
+    const { context } = this
+    const { weapon } = wave
+    const { type, startFrequency, endFrequency, pulseRate } = weapon.sound
+    const start = context.currentTime
+    const end = start + weapon.duration / 1000
+
+    const oscillator = context.createOscillator()
+    oscillator.type = type
+    oscillator.frequency.setValueAtTime(startFrequency, start)
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, end)
+
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(0.0001, start)
+    envelope.gain.exponentialRampToValueAtTime(0.3, start + 0.02)
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end)
+    oscillator.connect(envelope)
+
+    let output = envelope
+    if (pulseRate) {
+      // Tremolo: an oscillator swings the volume between 0 and 1
+      const tremolo = context.createGain()
+      tremolo.gain.value = 0.5
+      const pulse = context.createOscillator()
+      pulse.frequency.value = pulseRate
+      const pulseDepth = context.createGain()
+      pulseDepth.gain.value = 0.5
+      pulse.connect(pulseDepth)
+      pulseDepth.connect(tremolo.gain)
+      envelope.connect(tremolo)
+      output = tremolo
+      pulse.start(start)
+      pulse.stop(end)
+    }
+
+    // Waves from the centre fill the sky; aimed ones come from their origin
+    if (wave.target) {
+      const panner = this.createPanner(wave.origin)
+      output.connect(panner)
+      oscillator.onended = () => panner.disconnect()
+    } else {
+      output.connect(this.effects)
+    }
+    oscillator.start(start)
+    oscillator.stop(end)
+  }
+
+  // A burst of filtered noise that thuds away
+  playExplosion(position) {
+    if (!this.canPlay()) return
+
+    const { context } = this
+    const start = context.currentTime
+    const end = start + 0.6
+
+    const source = context.createBufferSource()
+    source.buffer = this.noise
+    const filter = context.createBiquadFilter()
+    filter.type = "lowpass"
+    filter.frequency.setValueAtTime(2000, start)
+    filter.frequency.exponentialRampToValueAtTime(150, end)
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(0.5, start)
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end)
+
+    source.connect(filter)
+    filter.connect(envelope)
+    const panner = this.createPanner(position)
+    envelope.connect(panner)
+    source.onended = () => panner.disconnect()
+    source.start(start)
+    source.stop(end)
+  }
+
+  // Moves the listener to the camera, looking at the Earth, and gives the
+  // hums to the drones nearest it
+  update(camera, drones) {
+    if (!this.context) return
+
+    const { listener, currentTime } = this.context
+    const { position, up } = camera
+    const forward = setLengthVec3(scaleVec3(position, -1), 1)
+    if (listener.forwardX) {
+      this.place(listener, position)
+      listener.forwardX.value = forward.x
+      listener.forwardY.value = forward.y
+      listener.forwardZ.value = forward.z
+      listener.upX.value = up.x
+      listener.upY.value = up.y
+      listener.upZ.value = up.z
+    } else {
+      listener.setPosition(position.x, position.y, position.z)
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z)
+    }
+
+    // Keep the few nearest drones, sorted by distance
+    const nearest = []
+    drones.forEach((drone) => {
+      const distance = distanceVec3(drone.position, position)
+      if (nearest.length === this.maxHums) {
+        if (distance >= nearest[nearest.length - 1].distance) return
+        nearest.pop()
+      }
+      let index = nearest.length
+      while (index > 0 && nearest[index - 1].distance > distance) index--
+      nearest.splice(index, 0, { drone, distance })
+    })
+
+    this.hums.forEach((hum, index) => {
+      const near = nearest[index]
+      hum.gain.gain.setTargetAtTime(near ? 0.04 : 0, currentTime, 0.1)
+      if (!near) return
+
+      // Bigger drones hum lower
+      const frequency = 90 / near.drone.type.scale
+      hum.oscillator.frequency.setTargetAtTime(frequency, currentTime, 0.1)
+      this.place(hum.panner, near.drone.position)
+    })
+  }
+
+  dispose() {
+    if (this.context) this.context.close()
+    this.context = null
+    this.hums = []
+  }
+}
+
+// Draws many copies of the same parts with one THREE.InstancedMesh per part,
+// e.g. a drone's body and wings. Each key (a drone id, a particle) owns one
+// slot. Released slots are filled from the end so only the first `size`
+// instances are drawn, and the meshes double in size when they run out.
+class InstancePool {
+  constructor(scene, parts, capacity = 64) {
+    this.scene = scene
+    this.parts = parts // [{ geometry, material, colors }], owned by the caller
+    this.capacity = capacity
+    this.size = 0
+    this.slots = new Map() // Key to slot
+    this.keys = [] // Slot to key
+    this.meshes = this.createMeshes()
+  }
+
+  createMeshes() {
+    const { capacity } = this
+    return this.parts.map(({ geometry, material, colors }) => {
+      const mesh = new THREE.InstancedMesh(geometry, material, capacity)
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+      if (colors) {
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(
+          new Float32Array(capacity * 3),
+          3,
+        )
+      }
+      mesh.count = this.size
+      // Instances are spread around the globe, far from the mesh's origin
+      mesh.frustumCulled = false
+      this.scene.add(mesh)
+      return mesh
+    })
+  }
+
+  grow() {
+    const oldMeshes = this.meshes
+    this.capacity *= 2
+    this.meshes = this.createMeshes()
+    oldMeshes.forEach((oldMesh, index) => {
+      const mesh = this.meshes[index]
+      mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array)
+      if (oldMesh.instanceColor) {
+        mesh.instanceColor.array.set(oldMesh.instanceColor.array)
+      }
+      this.scene.remove(oldMesh)
+      oldMesh.dispose()
+    })
+  }
+
+  has(key) {
+    return this.slots.has(key)
+  }
+
+  set(key, matrix, color) {
+    let slot = this.slots.get(key)
+    if (slot === undefined) {
+      if (this.size === this.capacity) this.grow()
+      slot = this.size++
+      this.slots.set(key, slot)
+      this.keys[slot] = key
+    }
+
+    this.meshes.forEach((mesh) => {
+      mesh.setMatrixAt(slot, matrix)
+      if (color && mesh.instanceColor) mesh.setColorAt(slot, color)
+    })
+  }
+
+  release(key) {
+    const slot = this.slots.get(key)
+    if (slot === undefined) return
+    this.slots.delete(key)
+
+    // Move the last instance into the freed slot
+    const last = --this.size
+    if (slot !== last) {
+      const lastKey = this.keys[last]
+      this.meshes.forEach((mesh) => {
+        mesh.instanceMatrix.copyAt(slot, mesh.instanceMatrix, last)
+        if (mesh.instanceColor) {
+          mesh.instanceColor.copyAt(slot, mesh.instanceColor, last)
+        }
+      })
+      this.slots.set(lastKey, slot)
+      this.keys[slot] = lastKey
+    }
+    this.keys.length = last
+  }
+
+  clear() {
+    this.size = 0
+    this.slots.clear()
+    this.keys = []
+    this.update()
+  }
+
+  // Uploads this frame's instances
+  update() {
+    this.meshes.forEach((mesh) => {
+      mesh.count = this.size
+      mesh.instanceMatrix.needsUpdate = true
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
+    })
+  }
+
+  dispose() {
+    this.meshes.forEach((mesh) => {
+      this.scene.remove(mesh)
+      mesh.dispose()
+    })
+    this.meshes = []
+  }
+}
+
+// Planet rendering. The Earth, its clouds and its atmosphere share the sun's
+// direction (world space) and a `dayNight` switch: 1 lights them from the
+// sun, 0 lights everything evenly.
+const EARTH_VERTEX_SHADER = `
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  void main() {
+    vUv = uv;
+    vNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+// Night lights fade in as the day side fades out across the terminator
+const EARTH_FRAGMENT_SHADER = `
+  uniform sampler2D dayMap;
+  uniform sampler2D nightMap;
+  uniform vec3 sunDirection;
+  uniform float dayNight;
+  uniform float nightLights;
+  varying vec2 vUv;
+  varying vec3 vNormal;
+
+  void main() {
+    vec3 day = texture2D(dayMap, vUv).rgb;
+    float daylight = smoothstep(-0.1, 0.2, dot(normalize(vNormal), sunDirection));
+    vec3 lights = texture2D(nightMap, vUv).rgb * nightLights * (1.0 - daylight);
+    vec3 color = mix(day, day * (0.05 + 0.95 * daylight) + lights, dayNight);
+    gl_FragColor = vec4(color, 1.0);
+  }
+`
+
+// Drawn on the inside of a sphere a little bigger than the Earth, so only
+// the ring around the Earth's edge shows, brightest close in and on the day
+// side
+const ATMOSPHERE_VERTEX_SHADER = `
+  varying vec3 vNormal;
+  varying vec3 vWorldNormal;
+  void main() {
+    vNormal = normalize(normalMatrix * normal);
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const ATMOSPHERE_FRAGMENT_SHADER = `
+  uniform vec3 color;
+  uniform vec3 sunDirection;
+  uniform float dayNight;
+  varying vec3 vNormal;
+  varying vec3 vWorldNormal;
+
+  void main() {
+    float rim = pow(clamp(-vNormal.z * 1.8, 0.0, 1.0), 2.0);
+    float sun = smoothstep(-0.4, 0.4, dot(vWorldNormal, sunDirection));
+    float intensity = rim * mix(1.0, 0.1 + 0.9 * sun, dayNight);
+    gl_FragColor = vec4(color * intensity, intensity);
+  }
+`
+
+// Clouds are 3D value noise on the sphere, so there are no seams or texture
+// to load, and darken on the night side
+const CLOUD_VERTEX_SHADER = `
+  varying vec3 vPosition;
+  varying vec3 vNormal;
+  void main() {
+    vPosition = position;
+    vNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const CLOUD_FRAGMENT_SHADER = `
+  uniform vec3 sunDirection;
+  uniform float dayNight;
+  uniform float cover;
+  varying vec3 vPosition;
+  varying vec3 vNormal;
+
+  float hash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+  }
+
+  float noise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(
+        mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+        mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x),
+        f.y
+      ),
+      mix(
+        mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+        mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x),
+        f.y
+      ),
+      f.z
+    );
+  }
+
+  void main() {
+    vec3 p = vPosition * 10.0;
+    float density = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 5; i++) {
+      density += amplitude * noise(p);
+      p *= 2.02;
+      amplitude *= 0.5;
+    }
+    float alpha = smoothstep(1.0 - cover, 1.0 - cover + 0.25, density);
+    float daylight = smoothstep(-0.1, 0.2, dot(normalize(vNormal), sunDirection));
+    float shade = mix(1.0, 0.04 + 0.96 * daylight, dayNight);
+    gl_FragColor = vec4(vec3(shade), alpha * 0.8);
+  }
+`
+
+// Graphics settings, each of which can be switched off for slower machines
+const GRAPHICS_SETTINGS = {
+  dayNight: "Day/night",
+  nightLights: "Night lights",
+  atmosphere: "Atmosphere",
+  clouds: "Clouds",
+}
+
+class Globe {
+  // `container` is the element the canvas and panels go in. The whole page
+  // (document.body) is sized to the window, anything else to itself.
+  constructor(container = document.body) {
+    this.container = container
+    this.isEmbedded = container !== document.body
+    // What mount() changed on the container, put back by dispose()
+    this.containerStyle = null
+    // Overlays cover the window on a full page and the container otherwise
+    this.overlayPosition = this.isEmbedded ? "absolute" : "fixed"
+    this.resizeObserver = null
+    this.renderer = null
+    this.scene = null
+    this.camera = null
+    this.earth = null
+    this.spikes = []
+    this.animationId = null
+    this.stars = null
+    // Lights, shared uniforms, clouds, atmosphere and night lights, see
+    // createPlanet()
+    this.planet = null
+    this.nightLightsUrl = null // A texture to use instead of drawn lights
+    this.graphics = {
+      dayNight: true,
+      nightLights: true,
+      atmosphere: true,
+      clouds: true,
+    }
+    this.cloudSpeed = 0.004 // Radians per second
+    this.sunUpdatedAt = 0
+
+    // Camera control properties
+    this.isDragging = false
+    this.pointers = new Map() // Pointer id to its last {x, y}
+    this.orbitVelocity = { x: 0, y: 0 } // Radians per second after a drag
+    this.orbitFriction = 4 // How quickly the globe coasts to a stop
+    this.lastDragTime = 0
+
+    // Camera orbit properties
+    this.cameraDistance = 1
+    this.cameraRotation = {
+      x: Math.PI * 0.1, // slightly above equator
+      y: Math.PI * 0.6, // west of prime meridian
+    }
+
+    // Zoom properties
+    this.minZoom = 0.1
+    this.maxZoom = 10
+    this.currentZoom = .7
+    this.zoomSpeed = 0.02
+
+    this.weaponButtons = {} // By action, e.g. "EMP" or "2:EMP"
+    this.launchButtons = {} // By drone type, for the attacker
+    this.energyBars = [] // By player
+    this.secondPlayerPanel = null
+    this.secondPlayerHint = null
+    this.modeSelect = null
+    this.compactWidth = 600 // Narrower containers get the phone layout
+    // Each player's last weapon, fired by clicking the globe or fireSelected
+    this.selectedWeapons = [Object.keys(WEAPONS)[0], Object.keys(WEAPONS)[0]]
+    this.selectedDroneType = ATTACKER_DRONE_TYPES[0]
+    this.raycaster = new THREE.Raycaster()
+
+    // Drones are drawn from one instance pool per type, keyed by drone id.
+    // Waves get a mesh each, keyed by wave id.
+    this.dronePools = {}
+    this.droneGeometries = null // Shared by every drone type
+    this.waveMeshes = new Map()
+    this.explosions = []
+    this.particlePool = null
+    this.particleGeometry = null
+    this.particleMaterial = null
+    this.nextParticleKey = 0
+    this.instanceDummy = new THREE.Object3D() // Builds instance matrices
+
+    this.controlPanel = null
+    this.feedPanel = null
+    this.hud = null // { container, stats, minimap }, see createHud()
+    this.hudUpdatedAt = 0
+    this.minimapDrawnAt = 0
+    this.fps = 60
+    this.lastFrameStart = null
+    this.callouts = [] // Kill callouts floating up from destroyed drones
+    this.maxCallouts = 12
+    this.roundBanner = null
+    this.pauseBanner = null
+    this.gameOverScreen = null
+
+    // Drives the game, explosions, spikes and auto-rotation
+    this.clock = new Clock()
+    this.wasHidden = false // Paused because the tab was hidden
+
+    // [target, type, handler, options] for every listener added with listen()
+    // so dispose() can remove them
+    this.listeners = []
+
+    this.audio = new AudioEngine()
+
+    // High scores, lifetime stats and settings, kept in localStorage
+    this.save = loadSaveData()
+    this.gameShots = { fired: 0, hits: 0 } // For this game's accuracy
+    this.statsPanel = null
+
+    // Keyboard and gamepad controls, see createDefaultBindings()
+    this.bindings = loadBindings(this.save.settings.bindings)
+    // KeyboardEvent.code of each held key to the key it was read as, so a
+    // release is matched even if Shift changed in between
+    this.heldKeys = new Map()
+    // Buttons held last frame on each player's gamepad, to spot new presses
+    this.gamepadButtons = [[], []]
+    this.rebindingAction = null // Set while waiting for a key or button
+    this.orbitSpeed = 1.5 // Radians per second at full tilt
+    this.zoomRate = 0.6 // Zoom per second at full tilt
+    this.stickDeadZone = 0.15
+    this.crosshair = null
+    this.shortcutHint = null
+    this.bindingsPanel = null
+    this.applySettings()
+
+    this.cityMarkers = new Map()
+    this.sim = new Simulation()
+    this.listenToSimulation()
+    this.recorder = null
+    this.player = null // Set while a replay is playing
+    this.replayControls = null
+    this.net = null // Set while playing online, see goOnline()
+    this.offlineMode = "solo" // To go back to after playing online
+    this.onlinePanel = null // { container, button }
+    this.startNewGame()
+
+    this.logPanel = null // Where log() writes, see createLogPanel()
+    this.isOwnLogPanel = false // Created by us, rather than the page's
+    this.onLog = null // Called with every line logged
+    this.maxLogLines = 200 // Oldest lines in the log panel are dropped
+    this.feed = new RequestFeed(
+      (event) => this.handleRequestEvent(event),
+      (status) => this.log(status),
+    )
+  }
+
+  startNewGame() {
+    // Online games are started by the host, for everyone
+    if (this.net) {
+      if (this.net.isHost) {
+        this.net.start(this.sim.cityDefinitions, this.sim.mode)
+      }
+      return
+    }
+
+    this.sim.newGame()
+    this.recorder = new ReplayRecorder(
+      this.sim.seed,
+      this.sim.cityDefinitions,
+      this.sim.mode,
+    )
+    this.hideGameOverScreen()
+  }
+
+  // Switches to one of GAME_MODES, starting a new game
+  setMode(mode) {
+    if (this.player || (this.net && !this.net.isHost)) {
+      if (this.modeSelect) this.modeSelect.value = this.sim.mode
+      return
+    }
+    this.sim.setMode(mode)
+    this.startNewGame()
+    this.createSecondPlayerPanel()
+    this.renderBindingsPanel()
+  }
+
+  loadCities(data) {
+    this.sim.setCities(parseCities(data))
+    if (!this.player) this.startNewGame()
+    this.log(`Loaded ${this.sim.cityDefinitions.length} cities`)
+  }
+
+  loadCitiesFromUrl(url) {
+    return fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${url}`)
+        return response.json()
+      })
+      .then((data) => this.loadCities(data))
+      .catch((err) => this.log(`Could not load cities: ${err.message}`))
+  }
+
+  createCityMarkers() {
+    this.cityMarkers.forEach(({ mesh }) => {
+      this.earth.remove(mesh)
+      mesh.geometry.dispose()
+      mesh.material.dispose()
+    })
+    this.cityMarkers = new Map()
+
+    this.sim.cities.forEach((city) => {
+      const geometry = new THREE.CylinderGeometry(0.008, 0.008, 0.02, 12)
+      geometry.rotateX(Math.PI / 2)
+      const material = new THREE.MeshBasicMaterial()
+      const mesh = new THREE.Mesh(geometry, material)
+
+      const { x, y, z } = city.position
+      mesh.position.set(x, y, z)
+      mesh.lookAt(new THREE.Vector3(0, 0, 0))
+
+      this.earth.add(mesh) // Parented to earth like the spikes
+      this.cityMarkers.set(city, { mesh })
+      this.updateCityMarker(city)
+    })
+  }
+
+  // Green at full health fading to red, grey once destroyed
+  updateCityMarker(city) {
+    const marker = this.cityMarkers.get(city)
+    if (!marker) return
+
+    const { material } = marker.mesh
+    if (city.isDestroyed) {
+      material.color.set(0x444444)
+    } else {
+      material.color.setHSL(city.health / city.maxHealth / 3, 1, 0.5)
+    }
+  }
+
+  listenToSimulation() {
+    this.sim
+      .on("reset", () => {
+        this.gameShots = { fired: 0, hits: 0 }
+        this.clearGameObjects()
+        if (this.earth) this.createCityMarkers()
+        this.drawNightLights()
+      })
+      .on("cityDamaged", (city) => this.updateCityMarker(city))
+      .on("cityDestroyed", (city) => {
+        this.updateCityMarker(city)
+        this.drawNightLights()
+        this.log(`${city.name} has fallen`)
+      })
+      .on("droneDestroyed", (drone, wave) => {
+        this.startExplosion(drone)
+        this.showKillCallout(drone, wave)
+        if (!this.player) this.getWeaponStats(wave.weapon).kills++
+      })
+      .on("droneStruck", (drone) => this.removeDroneMesh(drone))
+      .on("waveFired", (wave) => {
+        this.audio.playWave(wave)
+        if (!this.player) {
+          this.getWeaponStats(wave.weapon).fired++
+          this.gameShots.fired++
+        }
+        const { weapon, target } = wave
+        if (!target) return
+        this.log(
+          `${weapon.name} fired at ${target.lat.toFixed(2)}, ${target.long.toFixed(2)}`,
+        )
+      })
+      .on("waveExpired", (wave) => {
+        this.removeWaveMesh(wave.id)
+        if (!this.player && wave.hits) {
+          this.getWeaponStats(wave.weapon).hits++
+          this.gameShots.hits++
+        }
+      })
+      .on("scoreChanged", () => this.updateHud(true))
+      .on("intermission", (round) => {
+        this.showRoundBanner(`Round ${round}`)
+        this.updateHud(true)
+      })
+      .on("roundStarted", () => this.hideRoundBanner())
+      .on("gameOver", () => {
+        if (!this.player) this.recordGame()
+        this.showGameOverScreen()
+      })
+  }
+
+  // Joins the room at `url` on a relayServer.js relay. The first one in hosts
+  // and starts a new game whenever someone joins.
+  goOnline(url) {
+    if (this.player) this.stopPlayback()
+    if (this.net) this.goOffline()
+    this.offlineMode = this.sim.mode
+
+    const net = new NetworkSession(this.sim)
+    net
+      .on("welcome", (player) => {
+        this.log(`Joined ${url} as Player ${player + 1}`)
+        if (net.isHost) this.startNewGame()
+      })
+      .on("joined", (player) => {
+        this.log(`Player ${player + 1} joined`)
+        if (net.isHost) this.startNewGame()
+      })
+      .on("left", (player) => this.log(`Player ${player + 1} left`))
+      .on("full", () => this.log(`${url} is full`))
+      .on("start", () => {
+        this.recorder = net.recorder
+        this.hideGameOverScreen()
+        this.createSecondPlayerPanel()
+        this.renderBindingsPanel()
+        this.log(`Game ${net.game} started`)
+      })
+      .on("resync", (player) => {
+        this.recorder = net.recorder
+        this.log(`Resynced Player ${player + 1} with the host`)
+      })
+      .on("pause", (isPaused) => {
+        if (isPaused !== this.clock.isPaused) this.setPaused(isPaused)
+      })
+      .on("close", () => {
+        this.log(`Lost ${url}`)
+        this.goOffline()
+      })
+    this.net = net
+    try {
+      net.connect(url)
+    } catch (err) {
+      this.log(`Could not connect to ${url}: ${err.message}`)
+      this.goOffline()
+      return
+    }
+    this.log(`Connecting to ${url}`)
+    this.updateOnlinePanel()
+  }
+
+  // Back to a game of our own
+  goOffline() {
+    if (!this.net) return
+    this.net.disconnect()
+    this.net = null
+    this.sim.setMode(this.offlineMode)
+    this.startNewGame()
+    this.createSecondPlayerPanel()
+    this.updateOnlinePanel()
+  }
+
+  // Online, this globe only controls its own player, with either the first
+  // player's controls or that player's own. Returns the index of the player
+  // `seat`'s controls are for, or -1 for none.
+  getLocalPlayer(seat) {
+    if (!this.net) return seat
+    if (!this.net.isConnected) return -1
+    return seat === 0 || seat === this.net.player ? this.net.player : -1
+  }
+
+  toggleOnlinePanel() {
+    if (this.onlinePanel) {
+      this.onlinePanel.container.remove()
+      this.onlinePanel = null
+      return
+    }
+
+    const container = document.createElement("div")
+    container.style.position = this.overlayPosition
+    container.style.top = "30px"
+    container.style.left = "50%"
+    container.style.transform = "translateX(-50%)"
+    container.style.padding = "10px"
+    container.style.backgroundColor = "rgba(0, 0, 0, 0.9)"
+    container.style.border = "1px solid rgba(255, 255, 255, 0.2)"
+    container.style.borderRadius = "10px"
+    container.style.zIndex = "1001"
+    container.style.display = "flex"
+    container.style.gap = "5px"
+    container.style.color = "white"
+    container.style.fontFamily = "monospace"
+    container.style.fontSize = "12px"
+
+    const urlInput = document.createElement("input")
+    urlInput.type = "text"
+    urlInput.value = (this.net && this.net.url) || "ws://localhost:8090/lobby"
+    urlInput.style.width = "240px"
+    urlInput.style.fontFamily = "monospace"
+
+    const button = document.createElement("button")
+    button.style.cursor = "pointer"
+    button.addEventListener("click", () => {
+      if (this.net) {
+        this.goOffline()
+      } else if (urlInput.value.trim()) {
+        this.goOnline(urlInput.value.trim())
+      }
+    })
+
+    container.appendChild(urlInput)
+    container.appendChild(button)
+    this.container.appendChild(container)
+    this.onlinePanel = { container, button }
+    this.updateOnlinePanel()
+  }
+
+  updateOnlinePanel() {
+    if (!this.onlinePanel) return
+    this.onlinePanel.button.textContent = this.net ? "Leave" : "Connect"
+  }
+
+  // Game state drawn over the canvas: score, round, drones, weapon readiness,
+  // Earth and city health, FPS, and a minimap
+  createHud() {
+    const container = document.createElement("div")
+    container.style.position = this.overlayPosition
+    container.style.top = "3px"
+    container.style.right = "3px"
+    container.style.display = "flex"
+    container.style.flexDirection = "column"
+    container.style.alignItems = "flex-end"
+    container.style.gap = "5px"
+    container.style.color = "rgba(255, 255, 255, 0.7)"
+    container.style.fontFamily = "monospace"
+    container.style.fontSize = "12px"
+    container.style.pointerEvents = "none" // Clicks go through to the globe
+
+    const stats = document.createElement("div")
+    stats.style.whiteSpace = "pre"
+    stats.style.textAlign = "right"
+    container.appendChild(stats)
+
+    const minimap = document.createElement("canvas")
+    minimap.width = 200
+    minimap.height = 100
+    minimap.style.border = "1px solid rgba(255, 255, 255, 0.2)"
+    container.appendChild(minimap)
+
+    this.container.appendChild(container)
+    this.hud = { container, stats, minimap }
+    this.updateHud(true)
+  }
+
+  // Text is redrawn ten times a second unless `force`d, e.g. by a score change
+  updateHud(force) {
+    if (!this.hud) return
+
+    const now = performance.now()
+    if (!force && now - this.hudUpdatedAt < 100) return
+    this.hudUpdatedAt = now
+
+    const { sim } = this
+    const { score, earthHealth, maxEarthHealth, maxEnergy } = sim.game
+    const { cities, players } = sim
+    const citiesLeft = cities.filter((city) => !city.isDestroyed).length
+    const bar = (fraction, width = 10) => {
+      const filled = Math.round(Math.max(0, Math.min(1, fraction)) * width)
+      return "█".repeat(filled) + "░".repeat(width - filled)
+    }
+
+    // One block per city, darker as it's damaged
+    const cityBlocks = cities
+      .map((city) => {
+        if (city.isDestroyed) return "×"
+        return "░▒▓█"[Math.ceil((city.health / city.maxHealth) * 4) - 1] || "░"
+      })
+      .join("")
+
+    // Energy and weapons for each player, labelled when there are two
+    const playerLines = players.flatMap((player) => {
+      const prefix = players.length > 1 ? `P${player.index + 1} ` : ""
+      const weaponLines = player.weapons.map((name) => {
+        const remaining = (player.cooldowns[name] || 0) - sim.time
+        let status = "ready"
+        if (remaining > 0) {
+          status = `${(remaining / 1000).toFixed(1)}s`
+        } else if (player.energy < WEAPONS[name].energyCost) {
+          status = "low energy"
+        }
+        return `${prefix}${name} ${status.padStart(10)}`
+      })
+      return [
+        `${prefix}Energy ${bar(player.energy / maxEnergy)} ${Math.floor(player.energy)}`,
+        ...weaponLines,
+      ]
+    })
+
+    let heading = `Score ${score}  Round ${sim.rounds.round}`
+    if (sim.mode === "versus") {
+      const { isIntermission, phaseStartTime } = sim.rounds
+      const elapsed = isIntermission ? 0 : sim.time - phaseStartTime
+      const left = Math.ceil(
+        Math.max(0, sim.game.versusDuration - elapsed) / 1000,
+      )
+      const seconds = String(left % 60).padStart(2, "0")
+      heading = `Time left ${Math.floor(left / 60)}:${seconds}`
+    }
+    if (players.length > 1) {
+      heading +=
+        "\n" +
+        players
+          .map((player) => `P${player.index + 1} ${player.score}`)
+          .join("  ")
+    }
+
+    const { net } = this
+    if (net && net.isStalled) {
+      heading += `\nWaiting for Player ${net.waitingFor + 1}`
+    } else if (net && net.isConnected) {
+      heading += `\nOnline as P${net.player + 1}, ${Math.round(net.latency)} ms`
+    }
+
+    const maxDrones = Number.isFinite(sim.maxDrones) ? sim.maxDrones : "∞"
+    this.hud.stats.textContent = [
+      heading,
+      `Drones ${sim.drones.length}/${maxDrones}`,
+      `Earth ${bar(earthHealth / maxEarthHealth)} ${Math.ceil(earthHealth)}`,
+      `Cities ${citiesLeft}/${cities.length} ${cityBlocks}`,
+      ...playerLines,
+      `${Math.round(this.fps)} FPS`,
+    ].join("\n")
+  }
+
+  // Draws the globe flattened out: longitude across, latitude down, with
+  // cities, drones, aimed waves and where the camera is looking
+  drawMinimap() {
+    if (!this.hud) return
+
+    const now = performance.now()
+    if (now - this.minimapDrawnAt < 66) return
+    this.minimapDrawnAt = now
+
+    const { minimap } = this.hud
+    const { width, height } = minimap
+    const context = minimap.getContext("2d")
+    const toMap = (point) => {
+      const { lat, long } = pointToLatLong(point)
+      return { x: ((long + 180) / 360) * width, y: ((90 - lat) / 180) * height }
+    }
+    const toColor = (color) => `#${color.toString(16).padStart(6, "0")}`
+
+    context.clearRect(0, 0, width, height)
+    context.fillStyle = "rgba(0, 0, 0, 0.5)"
+    context.fillRect(0, 0, width, height)
+    context.strokeStyle = "rgba(255, 255, 255, 0.15)"
+    context.beginPath()
+    context.moveTo(0, height / 2)
+    context.lineTo(width, height / 2)
+    context.moveTo(width / 2, 0)
+    context.lineTo(width / 2, height)
+    context.stroke()
+
+    this.sim.cities.forEach((city) => {
+      const { x, y } = toMap(city.position)
+      const health = city.health / city.maxHealth
+      context.fillStyle = city.isDestroyed
+        ? "#555555"
+        : `hsl(${Math.round(health * 120)}, 80%, 50%)`
+      context.fillRect(x - 2, y - 2, 4, 4)
+    })
+
+    this.sim.drones.forEach((drone) => {
+      const { x, y } = toMap(drone.position)
+      context.fillStyle = toColor(drone.type.color)
+      context.fillRect(x - 1, y - 1, 2, 2)
+    })
+
+    this.sim.waves.forEach((wave) => {
+      if (!wave.target) return
+      const { x, y } = toMap(wave.origin)
+      context.strokeStyle = wave.weapon.buttonColor
+      context.beginPath()
+      context.arc(x, y, 2 + wave.progress * 8, 0, Math.PI * 2)
+      context.stroke()
+    })
+
+    if (this.camera) {
+      const { x, y } = toMap(this.camera.position)
+      context.strokeStyle = "rgba(255, 255, 255, 0.8)"
+      context.strokeRect(x - 4, y - 4, 8, 8)
+    }
+  }
+
+  // "+points" floating up from where a drone was destroyed, with the combo
+  // when one wave has taken out several
+  showKillCallout(drone, wave) {
+    if (!this.hud || !this.camera || this.player) return
+
+    // Where the drone is on screen; behind the camera means out of sight
+    const { x, y, z } = drone.position
+    const point = new THREE.Vector3(x, y, z).project(this.camera)
+    if (point.z > 1) return
+    const canvas = this.renderer.domElement
+    const { width, height } = this.getViewportSize()
+
+    const callout = document.createElement("div")
+    callout.textContent =
+      `+${drone.type.points * wave.kills}` +
+      (wave.kills > 1 ? ` x${wave.kills}` : "")
+    callout.style.position = "absolute"
+    callout.style.left = `${(canvas.offsetLeft || 0) + ((point.x + 1) / 2) * width}px`
+    callout.style.top = `${(canvas.offsetTop || 0) + ((1 - point.y) / 2) * height}px`
+    callout.style.color = wave.weapon.buttonColor
+    callout.style.fontFamily = "monospace"
+    callout.style.fontWeight = "bold"
+    callout.style.fontSize = wave.kills > 1 ? "16px" : "13px"
+    callout.style.pointerEvents = "none"
+    callout.style.zIndex = "900"
+    this.container.appendChild(callout)
+
+    this.callouts.push({ element: callout, startTime: this.clock.time })
+    while (this.callouts.length > this.maxCallouts) {
+      this.callouts.shift().element.remove()
+    }
+  }
+
+  // Callouts rise and fade over a second of game time
+  updateCallouts() {
+    this.callouts = this.callouts.filter(({ element, startTime }) => {
+      const progress = (this.clock.time - startTime) / 1000
+      if (progress >= 1) {
+        element.remove()
+        return false
+      }
+      element.style.transform = `translateY(${-30 * progress}px)`
+      element.style.opacity = String(1 - progress)
+      return true
+    })
+  }
+
+  showRoundBanner(text) {
+    if (!this.roundBanner) {
+      const roundBanner = document.createElement("div")
+      roundBanner.style.position = this.overlayPosition
+      roundBanner.style.top = "30%"
+      roundBanner.style.left = "0"
+      roundBanner.style.right = "0"
+      roundBanner.style.textAlign = "center"
+      roundBanner.style.color = "rgba(255, 255, 255, 0.8)"
+      roundBanner.style.fontSize = "32px"
+      roundBanner.style.fontWeight = "bold"
+      roundBanner.style.pointerEvents = "none"
+      this.container.appendChild(roundBanner)
+      this.roundBanner = roundBanner
+    }
+
+    this.roundBanner.textContent = text
+    this.roundBanner.style.display = "block"
+  }
+
+  hideRoundBanner() {
+    if (this.roundBanner) this.roundBanner.style.display = "none"
+  }
+
+  // Freezes drones, waves, cooldowns and effects until unpaused
+  setPaused(isPaused) {
+    this.clock.isPaused = isPaused
+    this.audio.setPaused(isPaused)
+
+    if (!this.pauseBanner) {
+      const pauseBanner = document.createElement("div")
+      pauseBanner.style.position = this.overlayPosition
+      pauseBanner.style.top = "40%"
+      pauseBanner.style.left = "0"
+      pauseBanner.style.right = "0"
+      pauseBanner.style.textAlign = "center"
+      pauseBanner.style.color = "rgba(255, 255, 255, 0.8)"
+      pauseBanner.style.fontSize = "24px"
+      pauseBanner.style.pointerEvents = "none"
+      pauseBanner.textContent = "Paused (P to resume)"
+      this.container.appendChild(pauseBanner)
+      this.pauseBanner = pauseBanner
+    }
+    this.pauseBanner.style.display = isPaused ? "block" : "none"
+  }
+
+  showGameOverScreen() {
+    if (this.player) return
+
+    const { score, dronesDestroyed, bestCombo, overReason, winner } =
+      this.sim.game
+    const { round } = this.sim.rounds
+    const { players } = this.sim
+
+    const screen = document.createElement("div")
+    screen.style.position = this.overlayPosition
+    screen.style.top = "0"
+    screen.style.left = "0"
+    screen.style.right = "0"
+    screen.style.bottom = "0"
+    screen.style.backgroundColor = "rgba(0, 0, 0, 0.7)"
+    screen.style.color = "white"
+    screen.style.zIndex = "2000"
+    screen.style.display = "flex"
+    screen.style.flexDirection = "column"
+    screen.style.alignItems = "center"
+    screen.style.justifyContent = "center"
+    screen.style.gap = "10px"
+
+    const title = document.createElement("div")
+    title.textContent = winner ? `${winner.name} wins` : overReason
+    title.style.fontSize = "32px"
+    title.style.fontWeight = "bold"
+    screen.appendChild(title)
+
+    if (winner) {
+      const reason = document.createElement("div")
+      reason.textContent = overReason
+      screen.appendChild(reason)
+    }
+
+    const stats = document.createElement("div")
+    stats.textContent = `Round ${round} | Score ${score} | Drones destroyed ${dronesDestroyed} | Best combo x${bestCombo}`
+    stats.style.fontFamily = "monospace"
+    screen.appendChild(stats)
+
+    if (players.length > 1) {
+      const playerStats = document.createElement("div")
+      playerStats.style.fontFamily = "monospace"
+      playerStats.style.whiteSpace = "pre"
+      playerStats.textContent = players
+        .map((player) =>
+          player.role === "attacker"
+            ? `${player.name} (attacker)  ${player.score} points`
+            : `${player.name} (defender)  ${player.score} points, ${player.dronesDestroyed} drones, best combo x${player.bestCombo}`,
+        )
+        .join("\n")
+      screen.appendChild(playerStats)
+    }
+
+    const highScores = document.createElement("div")
+    highScores.style.fontFamily = "monospace"
+    highScores.style.whiteSpace = "pre"
+    highScores.textContent = this.formatHighScores(5)
+    screen.appendChild(highScores)
+
+    const restartButton = document.createElement("button")
+    const [restartKey] = this.bindings.restart.keys
+    restartButton.textContent = restartKey
+      ? `Restart (${formatKey(restartKey)})`
+      : "Restart"
+    restartButton.style.padding = "10px 20px"
+    restartButton.style.backgroundColor = "#4CAF50"
+    restartButton.style.color = "white"
+    restartButton.style.border = "none"
+    restartButton.style.borderRadius = "5px"
+    restartButton.style.cursor = "pointer"
+    restartButton.style.fontSize = "16px"
+    restartButton.addEventListener("click", () => this.restart())
+    screen.appendChild(restartButton)
+
+    this.container.appendChild(screen)
+    this.gameOverScreen = screen
+  }
+
+  getWeaponStats(weapon) {
+    const { weapons } = this.save.stats
+    if (!weapons[weapon.name]) {
+      weapons[weapon.name] = { fired: 0, hits: 0, kills: 0 }
+    }
+    return weapons[weapon.name]
+  }
+
+  // Adds the game that just ended to the lifetime stats, and to the high
+  // scores when played solo
+  recordGame() {
+    const { score, dronesDestroyed } = this.sim.game
+    const { fired, hits } = this.gameShots
+    const entry = {
+      score,
+      date: new Date().toISOString(),
+      round: this.sim.rounds.round,
+      dronesDestroyed,
+      accuracy: fired ? hits / fired : 0,
+    }
+
+    const { highScores, stats } = this.save
+    if (this.sim.mode === "solo") {
+      highScores.push(entry)
+      highScores.sort((a, b) => b.score - a.score)
+      highScores.splice(MAX_HIGH_SCORES)
+    }
+    stats.gamesPlayed++
+    stats.dronesDestroyed += dronesDestroyed
+    writeSaveData(this.save)
+  }
+
+  formatHighScores(count = MAX_HIGH_SCORES) {
+    const { highScores } = this.save
+    if (!highScores.length) return "No high scores yet"
+
+    return highScores
+      .slice(0, count)
+      .map((entry, index) => {
+        const date = new Date(entry.date).toLocaleDateString()
+        const accuracy = `${Math.round(entry.accuracy * 100)}%`
+        return [
+          `${index + 1}.`.padEnd(4),
+          String(entry.score).padStart(7),
+          `  round ${entry.round}`.padEnd(11),
+          `${entry.dronesDestroyed} drones`.padEnd(12),
+          `${accuracy} hit`.padEnd(9),
+          date,
+        ].join("")
+      })
+      .join("\n")
+  }
+
+  // Settings saved by the player, falling back to the defaults for the rest
+  applySettings() {
+    const { minZoom, maxZoom, shouldRotate, volumes, isMuted, graphics } =
+      this.save.settings
+
+    if (minZoom > 0 && maxZoom > minZoom) {
+      this.minZoom = minZoom
+      this.maxZoom = maxZoom
+      this.currentZoom = Math.max(minZoom, Math.min(maxZoom, this.currentZoom))
+    }
+    if (typeof shouldRotate === "boolean") this.shouldRotate = shouldRotate
+    if (volumes) {
+      Object.keys(this.audio.volumes).forEach((channel) => {
+        if (Number.isFinite(volumes[channel])) {
+          this.audio.setVolume(channel, volumes[channel])
+        }
+      })
+    }
+    if (typeof isMuted === "boolean") this.audio.setMuted(isMuted)
+    if (graphics) {
+      Object.keys(GRAPHICS_SETTINGS).forEach((name) => {
+        if (typeof graphics[name] === "boolean") {
+          this.graphics[name] = graphics[name]
+        }
+      })
+      this.applyGraphics()
+    }
+  }
+
+  saveSettings() {
+    this.save.settings = {
+      minZoom: this.minZoom,
+      maxZoom: this.maxZoom,
+      shouldRotate: this.shouldRotate,
+      volumes: { ...this.audio.volumes },
+      isMuted: this.audio.isMuted,
+      graphics: { ...this.graphics },
+      bindings: this.bindings,
+    }
+    writeSaveData(this.save)
+  }
+
+  exportSave() {
+    const blob = new Blob([JSON.stringify(this.save, null, 2)], {
+      type: "application/json",
+    })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = "wavewar-save.json"
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  importSave(file) {
+    file
+      .text()
+      .then((text) => {
+        this.save = parseSaveData(text)
+        this.bindings = loadBindings(this.save.settings.bindings)
+        this.applySettings()
+        writeSaveData(this.save)
+        this.renderBindingsPanel()
+        this.updateShortcutHint()
+        this.renderStatsPanel()
+        this.log("Imported save")
+      })
+      .catch((err) => this.log(`Could not import save: ${err.message}`))
+  }
+
+  // High scores, lifetime stats and settings, with save export and import
+  toggleStatsPanel() {
+    if (this.statsPanel) {
+      this.statsPanel.remove()
+      this.statsPanel = null
+      return
+    }
+
+    const panel = document.createElement("div")
+    panel.style.position = this.overlayPosition
+    panel.style.top = "50px"
+    panel.style.left = "50%"
+    panel.style.transform = "translateX(-50%)"
+    panel.style.maxWidth = "90%"
+    panel.style.padding = "10px"
+    panel.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    panel.style.borderRadius = "5px"
+    panel.style.zIndex = "1000"
+    panel.style.color = "rgba(255, 255, 255, 0.7)"
+    panel.style.fontFamily = "monospace"
+    panel.style.fontSize = "12px"
+    this.container.appendChild(panel)
+    this.statsPanel = panel
+    this.renderStatsPanel()
+  }
+
+  renderStatsPanel() {
+    const panel = this.statsPanel
+    if (!panel) return
+    panel.innerHTML = ""
+
+    const addSection = (title, text) => {
+      const heading = document.createElement("div")
+      heading.textContent = title
+      heading.style.fontWeight = "bold"
+      heading.style.marginTop = "5px"
+      panel.appendChild(heading)
+
+      const body = document.createElement("div")
+      body.textContent = text
+      body.style.whiteSpace = "pre"
+      panel.appendChild(body)
+    }
+
+    addSection("High scores", this.formatHighScores())
+
+    const { gamesPlayed, dronesDestroyed, weapons } = this.save.stats
+    const weaponLines = Object.keys(weapons).map((name) => {
+      const { fired, hits, kills } = weapons[name]
+      const accuracy = fired ? Math.round((hits / fired) * 100) : 0
+      return `${name.padEnd(8)} fired ${fired}, ${accuracy}% hit, ${kills} kills`
+    })
+    addSection(
+      "Lifetime",
+      [
+        `${gamesPlayed} games, ${dronesDestroyed} drones destroyed`,
+        ...weaponLines,
+      ].join("\n"),
+    )
+
+    // Settings
+    const settings = document.createElement("div")
+    settings.style.display = "flex"
+    settings.style.flexWrap = "wrap"
+    settings.style.gap = "8px"
+    settings.style.marginTop = "8px"
+
+    const rotateLabel = document.createElement("label")
+    const rotateInput = document.createElement("input")
+    rotateInput.type = "checkbox"
+    rotateInput.checked = this.shouldRotate
+    rotateInput.addEventListener("change", () => {
+      this.shouldRotate = rotateInput.checked
+      this.saveSettings()
+    })
+    rotateLabel.appendChild(rotateInput)
+    rotateLabel.append(" Auto-rotate")
+    settings.appendChild(rotateLabel)
+
+    const createZoomInput = (text, property) => {
+      const label = document.createElement("label")
+      label.textContent = `${text} `
+      const input = document.createElement("input")
+      input.type = "number"
+      input.min = "0.05"
+      input.step = "0.1"
+      input.value = String(this[property])
+      input.style.width = "50px"
+      input.addEventListener("change", () => {
+        const zoom = { minZoom: this.minZoom, maxZoom: this.maxZoom }
+        zoom[property] = Number(input.value)
+        if (zoom.minZoom > 0 && zoom.maxZoom > zoom.minZoom) {
+          Object.assign(this, zoom)
+          this.zoomCamera(0) // Clamps the current zoom
+          this.saveSettings()
+        } else {
+          input.value = String(this[property])
+        }
+      })
+      label.appendChild(input)
+      return label
+    }
+    settings.appendChild(createZoomInput("Min zoom", "minZoom"))
+    settings.appendChild(createZoomInput("Max zoom", "maxZoom"))
+
+    Object.entries(GRAPHICS_SETTINGS).forEach(([name, text]) => {
+      const label = document.createElement("label")
+      const input = document.createElement("input")
+      input.type = "checkbox"
+      input.checked = this.graphics[name]
+      input.addEventListener("change", () => {
+        this.graphics[name] = input.checked
+        this.applyGraphics()
+        this.saveSettings()
+      })
+      label.appendChild(input)
+      label.append(` ${text}`)
+      settings.appendChild(label)
+    })
+    panel.appendChild(settings)
+
+    // Export and import
+    const buttons = document.createElement("div")
+    buttons.style.display = "flex"
+    buttons.style.gap = "5px"
+    buttons.style.marginTop = "8px"
+
+    const exportButton = document.createElement("button")
+    exportButton.textContent = "Export save"
+    exportButton.addEventListener("click", () => this.exportSave())
+    buttons.appendChild(exportButton)
+
+    const importInput = document.createElement("input")
+    importInput.type = "file"
+    importInput.accept = "application/json,.json"
+    importInput.style.display = "none"
+    importInput.addEventListener("change", () => {
+      const [file] = importInput.files
+      if (file) this.importSave(file)
+      importInput.value = ""
+    })
+    const importButton = document.createElement("button")
+    importButton.textContent = "Import save"
+    importButton.addEventListener("click", () => importInput.click())
+    buttons.appendChild(importButton)
+    buttons.appendChild(importInput)
+    panel.appendChild(buttons)
+  }
+
+  hideGameOverScreen() {
+    if (this.gameOverScreen) {
+      this.gameOverScreen.remove()
+      this.gameOverScreen = null
+    }
+  }
+
+  restart() {
+    if (this.player) return
+    this.startNewGame()
+  }
+
+  // Drops every drone, explosion and wave mesh, e.g. when a new game starts
+  clearGameObjects() {
+    if (this.scene) {
+      this.waveMeshes.forEach((mesh) => {
+        this.scene.remove(mesh)
+        mesh.geometry.dispose()
+        mesh.material.dispose()
+      })
+    }
+    Object.values(this.dronePools).forEach((pool) => pool.clear())
+    if (this.particlePool) this.particlePool.clear()
+    this.waveMeshes.clear()
+    this.explosions = []
+  }
+
+  createControlPanel() {
+    const controlPanel = document.createElement("div")
+    controlPanel.style.position = this.overlayPosition
+    controlPanel.style.bottom = "20px"
+    controlPanel.style.right = "20px"
+    controlPanel.style.padding = "20px"
+    controlPanel.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    controlPanel.style.borderRadius = "15px"
+    controlPanel.style.zIndex = "1000"
+    controlPanel.style.display = "flex"
+    controlPanel.style.flexDirection = "column"
+    controlPanel.style.alignItems = "center"
+    controlPanel.style.gap = "10px"
+
+    // Controller shape background
+    const controllerShape = document.createElement("div")
+    controllerShape.style.position = "absolute"
+    controllerShape.style.top = "0"
+    controllerShape.style.left = "0"
+    controllerShape.style.right = "0"
+    controllerShape.style.bottom = "0"
+    controllerShape.style.borderRadius = "15px"
+    controllerShape.style.border = "2px solid rgba(255, 255, 255, 0.2)"
+    controllerShape.style.boxShadow = "0 0 10px rgba(0, 0, 0, 0.5)"
+    controlPanel.appendChild(controllerShape)
+
+    const buttonContainer = document.createElement("div")
+    buttonContainer.style.display = "flex"
+    buttonContainer.style.gap = "15px"
+    buttonContainer.style.position = "relative"
+    buttonContainer.style.zIndex = "1"
+
+    Object.keys(WEAPONS).forEach((name) => {
+      buttonContainer.appendChild(this.createWeaponButton(name))
+    })
+    controlPanel.appendChild(buttonContainer)
+
+    controlPanel.appendChild(this.createEnergyBar(0))
+
+    // Add keyboard shortcut hint
+    const shortcutHint = document.createElement("div")
+    shortcutHint.style.color = "rgba(255, 255, 255, 0.5)"
+    shortcutHint.style.fontSize = "12px"
+    shortcutHint.style.marginTop = "5px"
+    controlPanel.appendChild(shortcutHint)
+    this.shortcutHint = shortcutHint
+    this.updateShortcutHint()
+
+    // Replay export/import
+    const replayButtons = document.createElement("div")
+    replayButtons.style.display = "flex"
+    replayButtons.style.gap = "5px"
+    replayButtons.style.position = "relative"
+    replayButtons.style.zIndex = "1"
+
+    const createTextButton = (text, onClick) => {
+      const button = document.createElement("button")
+      button.textContent = text
+      button.style.backgroundColor = "rgba(255, 255, 255, 0.1)"
+      button.style.color = "rgba(255, 255, 255, 0.7)"
+      button.style.border = "none"
+      button.style.borderRadius = "5px"
+      button.style.padding = "3px 8px"
+      button.style.cursor = "pointer"
+      button.style.fontSize = "11px"
+      button.addEventListener("click", onClick)
+      return button
+    }
+
+    const replayInput = document.createElement("input")
+    replayInput.type = "file"
+    replayInput.accept = "application/json,.json"
+    replayInput.style.display = "none"
+    replayInput.addEventListener("change", () => {
+      const [file] = replayInput.files
+      if (file) this.importReplay(file)
+      replayInput.value = ""
+    })
+
+    replayButtons.appendChild(
+      createTextButton("Export replay", () => this.exportReplay()),
+    )
+    replayButtons.appendChild(
+      createTextButton("Import replay", () => replayInput.click()),
+    )
+    replayButtons.appendChild(replayInput)
+
+    const citiesInput = document.createElement("input")
+    citiesInput.type = "file"
+    citiesInput.accept = "application/json,.json"
+    citiesInput.style.display = "none"
+    citiesInput.addEventListener("change", () => {
+      const [file] = citiesInput.files
+      if (file) {
+        file
+          .text()
+          .then((text) => this.loadCities(JSON.parse(text)))
+          .catch((err) => this.log(`Could not load cities: ${err.message}`))
+      }
+      citiesInput.value = ""
+    })
+    replayButtons.appendChild(
+      createTextButton("Load map", () => citiesInput.click()),
+    )
+    replayButtons.appendChild(citiesInput)
+    replayButtons.appendChild(
+      createTextButton("Controls", () => this.toggleBindingsPanel()),
+    )
+    replayButtons.appendChild(
+      createTextButton("Stats", () => this.toggleStatsPanel()),
+    )
+    replayButtons.appendChild(
+      createTextButton("Play online", () => this.toggleOnlinePanel()),
+    )
+
+    const modeSelect = document.createElement("select")
+    const modeLabels = { solo: "Solo", coop: "Co-op", versus: "Versus" }
+    GAME_MODES.forEach((mode) => {
+      const option = document.createElement("option")
+      option.value = mode
+      option.textContent = modeLabels[mode]
+      option.selected = mode === this.sim.mode
+      modeSelect.appendChild(option)
+    })
+    modeSelect.style.fontSize = "11px"
+    modeSelect.addEventListener("change", () => this.setMode(modeSelect.value))
+    replayButtons.appendChild(modeSelect)
+    this.modeSelect = modeSelect
+    controlPanel.appendChild(replayButtons)
+
+    // Volume sliders and mute
+    const audioControls = document.createElement("div")
+    audioControls.style.display = "flex"
+    audioControls.style.flexWrap = "wrap"
+    audioControls.style.justifyContent = "center"
+    audioControls.style.alignItems = "center"
+    audioControls.style.gap = "5px"
+    audioControls.style.position = "relative"
+    audioControls.style.zIndex = "1"
+    audioControls.style.color = "rgba(255, 255, 255, 0.5)"
+    audioControls.style.fontSize = "11px"
+
+    const muteButton = createTextButton(
+      this.audio.isMuted ? "Unmute" : "Mute",
+      () => {
+        this.audio.resume()
+        this.audio.setMuted(!this.audio.isMuted)
+        this.saveSettings()
+        muteButton.textContent = this.audio.isMuted ? "Unmute" : "Mute"
+      },
+    )
+    audioControls.appendChild(muteButton)
+
+    const channels = { master: "Volume", music: "Music", effects: "Effects" }
+    Object.keys(channels).forEach((channel) => {
+      const label = document.createElement("label")
+      label.textContent = channels[channel]
+      label.style.display = "flex"
+      label.style.alignItems = "center"
+      label.style.gap = "3px"
+
+      const slider = document.createElement("input")
+      slider.type = "range"
+      slider.min = "0"
+      slider.max = "1"
+      slider.step = "0.05"
+      slider.value = String(this.audio.volumes[channel])
+      slider.style.width = "50px"
+      slider.addEventListener("input", () => {
+        this.audio.resume()
+        this.audio.setVolume(channel, Number(slider.value))
+      })
+      slider.addEventListener("change", () => this.saveSettings())
+      label.appendChild(slider)
+      audioControls.appendChild(label)
+    })
+    controlPanel.appendChild(audioControls)
+
+    this.container.appendChild(controlPanel)
+    this.controlPanel = controlPanel
+    this.createSecondPlayerPanel()
+    this.updateLayout()
+  }
+
+  // A round button firing a full wave for `action`, e.g. "EMP" or "2:EMP".
+  // The ring behind it fills in as the weapon recharges.
+  createWeaponButton(action) {
+    const { player, name } = parsePlayerAction(action)
+    const weapon = WEAPONS[name]
+    const color = weapon.buttonColor
+
+    const ring = document.createElement("div")
+    ring.style.width = "48px"
+    ring.style.height = "48px"
+    ring.style.borderRadius = "50%"
+    ring.style.display = "flex"
+    ring.style.alignItems = "center"
+    ring.style.justifyContent = "center"
+
+    const button = document.createElement("button")
+    button.textContent = weapon.label
+    button.style.width = "40px"
+    button.style.height = "40px"
+    button.style.backgroundColor = color
+    button.style.color = "white"
+    button.style.border = "none"
+    button.style.borderRadius = "50%"
+    button.style.cursor = "pointer"
+    button.style.fontSize = "16px"
+    button.style.fontWeight = "bold"
+    button.style.boxShadow = "0 0 5px rgba(0, 0, 0, 0.3)"
+    button.style.transition = "all 0.2s ease"
+
+    button.addEventListener("mouseenter", () => {
+      if (this.sim.isWeaponReady(weapon, this.sim.players[player])) {
+        button.style.transform = "scale(1.1)"
+        button.style.boxShadow = "0 0 10px " + color
+      }
+    })
+    button.addEventListener("mouseleave", () => {
+      button.style.transform = "scale(1)"
+      button.style.boxShadow = "0 0 5px rgba(0, 0, 0, 0.3)"
+    })
+
+    button.addEventListener("click", () => {
+      this.handleAction(name, undefined, player)
+    })
+    ring.appendChild(button)
+    this.weaponButtons[action] = { button, ring }
+    return ring
+  }
+
+  // A player's energy, shared by all their weapons
+  createEnergyBar(player) {
+    const energyTrack = document.createElement("div")
+    energyTrack.style.width = "100%"
+    energyTrack.style.height = "6px"
+    energyTrack.style.borderRadius = "3px"
+    energyTrack.style.backgroundColor = "rgba(255, 255, 255, 0.1)"
+    energyTrack.style.position = "relative"
+    energyTrack.style.zIndex = "1"
+    const energyBar = document.createElement("div")
+    energyBar.style.height = "100%"
+    energyBar.style.borderRadius = "3px"
+    energyBar.style.backgroundColor = "#FFC107"
+    energyTrack.appendChild(energyBar)
+    this.energyBars[player] = energyBar
+    return energyTrack
+  }
+
+  // The second player's weapons, or in versus games the attacker's launch
+  // buttons, across from the first player's control panel
+  createSecondPlayerPanel() {
+    if (this.secondPlayerPanel) {
+      this.secondPlayerPanel.remove()
+      this.secondPlayerPanel = null
+      this.secondPlayerHint = null
+      Object.keys(this.weaponButtons).forEach((action) => {
+        if (parsePlayerAction(action).player) delete this.weaponButtons[action]
+      })
+      this.launchButtons = {}
+      this.energyBars.splice(1)
+    }
+    if (this.modeSelect) this.modeSelect.value = this.sim.mode
+
+    const player = this.sim.players[1]
+    if (!player || !this.controlPanel) return
+
+    const panel = document.createElement("div")
+    panel.style.position = this.overlayPosition
+    panel.style.bottom = "20px"
+    panel.style.left = "20px"
+    panel.style.padding = "15px"
+    panel.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    panel.style.border = "2px solid rgba(255, 255, 255, 0.2)"
+    panel.style.borderRadius = "15px"
+    panel.style.zIndex = "1000"
+    panel.style.display = "flex"
+    panel.style.flexDirection = "column"
+    panel.style.alignItems = "center"
+    panel.style.gap = "10px"
+    panel.style.color = "rgba(255, 255, 255, 0.7)"
+    panel.style.fontSize = "12px"
+
+    const title = document.createElement("div")
+    title.textContent = `${player.name} (${player.role})`
+    title.style.fontWeight = "bold"
+    panel.appendChild(title)
+
+    const buttonContainer = document.createElement("div")
+    buttonContainer.style.display = "flex"
+    buttonContainer.style.flexWrap = "wrap"
+    buttonContainer.style.justifyContent = "center"
+    buttonContainer.style.maxWidth = "260px"
+    buttonContainer.style.gap = player.droneTypes.length ? "5px" : "15px"
+
+    player.weapons.forEach((name) => {
+      buttonContainer.appendChild(
+        this.createWeaponButton(toPlayerAction(name, player.index)),
+      )
+    })
+
+    // Each launch button shows what the drone costs. They launch from the
+    // crosshair while the attacker is aiming, otherwise from anywhere.
+    player.droneTypes.forEach((name) => {
+      const type = DRONE_TYPES[name]
+      const button = document.createElement("button")
+      button.textContent = `${name} ${type.points}`
+      button.style.backgroundColor = "rgba(255, 255, 255, 0.1)"
+      button.style.color = "white"
+      button.style.border = "none"
+      button.style.borderLeft = `4px solid #${type.color.toString(16).padStart(6, "0")}`
+      button.style.borderRadius = "5px"
+      button.style.padding = "5px 8px"
+      button.style.cursor = "pointer"
+      button.style.fontSize = "11px"
+      button.addEventListener("click", () => {
+        this.launchDrone(
+          name,
+          this.isAiming(player.index) ? this.getAimTarget() : undefined,
+        )
+      })
+      buttonContainer.appendChild(button)
+      this.launchButtons[name] = button
+    })
+    panel.appendChild(buttonContainer)
+    panel.appendChild(this.createEnergyBar(player.index))
+
+    const hint = document.createElement("div")
+    hint.style.color = "rgba(255, 255, 255, 0.5)"
+    panel.appendChild(hint)
+    this.secondPlayerHint = hint
+
+    this.container.appendChild(panel)
+    this.secondPlayerPanel = panel
+    this.updateShortcutHint()
+    this.updateLayout()
+  }
+
+  // On narrow screens the control panel docks along the bottom edge with
+  // bigger, thumb-sized buttons, and drops the keyboard hint
+  updateLayout() {
+    if (!this.controlPanel) return
+
+    const isCompact = this.getViewportSize().width < this.compactWidth
+    const { style } = this.controlPanel
+    style.left = isCompact ? "0" : ""
+    style.right = isCompact ? "0" : "20px"
+    style.bottom = isCompact ? "0" : "20px"
+    style.padding = isCompact ? "8px" : "20px"
+    style.borderRadius = isCompact ? "15px 15px 0 0" : "15px"
+
+    const buttonSize = isCompact ? 56 : 40
+    Object.values(this.weaponButtons).forEach(({ button, ring }) => {
+      button.style.width = `${buttonSize}px`
+      button.style.height = `${buttonSize}px`
+      ring.style.width = `${buttonSize + 8}px`
+      ring.style.height = `${buttonSize + 8}px`
+    })
+    Object.values(this.launchButtons).forEach((button) => {
+      button.style.padding = isCompact ? "12px 10px" : "5px 8px"
+    })
+
+    // Sharing a phone or tablet, the second player sits across the table
+    if (this.secondPlayerPanel) {
+      const { style } = this.secondPlayerPanel
+      style.left = isCompact ? "0" : "20px"
+      style.right = isCompact ? "0" : ""
+      style.top = isCompact ? "0" : ""
+      style.bottom = isCompact ? "" : "20px"
+      style.padding = isCompact ? "8px" : "15px"
+      style.borderRadius = isCompact ? "0 0 15px 15px" : "15px"
+    }
+
+    ;[this.shortcutHint, this.secondPlayerHint].forEach((hint) => {
+      if (hint) hint.style.display = isCompact ? "none" : "block"
+    })
+  }
+
+  updateShortcutHint() {
+    const firstKey = (action) => this.bindings[action].keys[0]
+
+    if (this.shortcutHint) {
+      const keys = Object.values(WEAPONS)
+        .map((weapon) => firstKey(weapon.name))
+        .filter((key) => key)
+      this.shortcutHint.textContent =
+        "Press " +
+        keys.map(formatKey).join(" or ") +
+        ", or click the globe to aim"
+    }
+
+    const player = this.sim.players[1]
+    if (this.secondPlayerHint && player) {
+      const keys = [...player.weapons, ...player.droneTypes]
+        .map((name) => firstKey(toPlayerAction(name, player.index)))
+        .filter((key) => key)
+      const aimKey = firstKey(toPlayerAction("aim", player.index))
+      this.secondPlayerHint.textContent =
+        `Press ${keys.map(formatKey).join(" ")}` +
+        (aimKey ? `, hold ${formatKey(aimKey)} to aim` : "")
+    }
+  }
+
+  // Lists every action with its keys and buttons. Clicking one waits for the
+  // next key or gamepad button to bind to it.
+  toggleBindingsPanel() {
+    if (this.bindingsPanel) {
+      this.bindingsPanel.remove()
+      this.bindingsPanel = null
+      this.rebindingAction = null
+      return
+    }
+
+    const panel = document.createElement("div")
+    panel.style.position = this.overlayPosition
+    panel.style.bottom = "20px"
+    panel.style.left = "20px"
+    panel.style.padding = "10px"
+    panel.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    panel.style.borderRadius = "5px"
+    panel.style.zIndex = "1000"
+    panel.style.color = "rgba(255, 255, 255, 0.7)"
+    panel.style.fontFamily = "monospace"
+    panel.style.fontSize = "12px"
+    this.container.appendChild(panel)
+    this.bindingsPanel = panel
+    this.renderBindingsPanel()
+  }
+
+  renderBindingsPanel() {
+    const panel = this.bindingsPanel
+    if (!panel) return
+    panel.innerHTML = ""
+
+    Object.keys(this.bindings).forEach((action) => {
+      if (!this.isActionAvailable(action)) return
+
+      const { keys, buttons } = this.bindings[action]
+      const row = document.createElement("div")
+      row.style.cursor = "pointer"
+      row.style.padding = "2px 0"
+
+      const label = formatAction(action)
+      const controls = [
+        ...keys.map(formatKey),
+        ...buttons.map((button) => `Pad ${button}`),
+      ]
+      row.textContent =
+        this.rebindingAction === action
+          ? `${label.padEnd(20)} press a key or button (Esc cancels)`
+          : `${label.padEnd(20)} ${controls.join(", ") || "-"}`
+      row.addEventListener("click", () => {
+        this.rebindingAction = action
+        this.renderBindingsPanel()
+      })
+      panel.appendChild(row)
+    })
+
+    const resetButton = document.createElement("button")
+    resetButton.textContent = "Reset to defaults"
+    resetButton.style.marginTop = "5px"
+    resetButton.addEventListener("click", () => {
+      this.bindings = createDefaultBindings()
+      this.saveSettings()
+      this.rebindingAction = null
+      this.updateShortcutHint()
+      this.renderBindingsPanel()
+    })
+    panel.appendChild(resetButton)
+  }
+
+  // Binds `action` to just this key or button, taking it off any other action
+  // so one press never does two things. Buttons are only taken off the same
+  // player's actions, as each player has their own gamepad.
+  rebind(action, { key, button }) {
+    const { player } = parsePlayerAction(action)
+    Object.keys(this.bindings).forEach((other) => {
+      const binding = this.bindings[other]
+      binding.keys = binding.keys.filter((k) => k !== key)
+      if (parsePlayerAction(other).player === player) {
+        binding.buttons = binding.buttons.filter((b) => b !== button)
+      }
+    })
+    if (key !== undefined) this.bindings[action].keys = [key]
+    if (button !== undefined) this.bindings[action].buttons = [button]
+
+    this.saveSettings()
+    this.rebindingAction = null
+    this.updateShortcutHint()
+    this.renderBindingsPanel()
+  }
+
+  // The action bound to `key`, or to `button` on `player`'s gamepad
+  findAction(key, button, player = 0) {
+    return Object.keys(this.bindings).find((action) => {
+      if (!this.isActionAvailable(action)) return false
+      const { keys, buttons } = this.bindings[action]
+      if (key !== undefined) return keys.includes(key)
+      return (
+        parsePlayerAction(action).player === player && buttons.includes(button)
+      )
+    })
+  }
+
+  // Whether `action` does anything in this game mode, e.g. the second
+  // player's weapons only do in co-op games
+  isActionAvailable(action) {
+    const { player: index, name } = parsePlayerAction(action)
+    const player = this.sim.players[index]
+    if (!player) return false
+    if (WEAPONS[name]) return player.weapons.includes(name)
+    if (DRONE_TYPES[name]) return player.droneTypes.includes(name)
+    if (name === "previousDrone" || name === "nextDrone") {
+      return player.droneTypes.length > 0
+    }
+    return true
+  }
+
+  listenToKeyboard() {
+    // Embedded games only take keys while focused, so they don't steal the
+    // host page's shortcuts
+    const keyTarget = this.isEmbedded ? this.container : document
+
+    this.listen(keyTarget, "keydown", (e) => {
+      const key = readKey(e)
+      if (this.rebindingAction) {
+        e.preventDefault()
+        if (key === "escape") {
+          this.rebindingAction = null
+          this.renderBindingsPanel()
+        } else {
+          this.rebind(this.rebindingAction, { key })
+        }
+        return
+      }
+
+      // Leave typing in the feed panel's inputs alone
+      const tag = e.target && e.target.tagName
+      if (tag === "INPUT" || tag === "TEXTAREA") return
+
+      const action = this.findAction(key)
+      if (!action) return
+      e.preventDefault() // Arrows and space would scroll the page
+
+      if (HELD_ACTIONS.includes(parsePlayerAction(action).name)) {
+        this.heldKeys.set(e.code, key)
+      } else if (!e.repeat) {
+        this.runAction(action)
+      }
+    })
+    this.listen(keyTarget, "keyup", (e) => {
+      this.heldKeys.delete(e.code)
+    })
+    // Keys released while the page is in the background never report it
+    this.listen(window, "blur", () => this.heldKeys.clear())
+    return this
+  }
+
+  // Audio can only start from a user gesture, so the first one starts it
+  listenForAudio() {
+    const resume = () => this.audio.resume()
+    this.listen(this.container, "pointerdown", resume)
+    this.listen(this.isEmbedded ? this.container : document, "keydown", resume)
+    return this
+  }
+
+  // Carries out a pressed action for whichever player it belongs to. Weapons
+  // fire, and the attacker's drones launch, at the crosshair while aiming.
+  runAction(action) {
+    const { player: seat, name } = parsePlayerAction(action)
+    const index = this.getLocalPlayer(seat)
+    const player = this.sim.players[index]
+    if (!player) return
+    const aimTarget = () =>
+      this.isAiming(seat) ? this.getAimTarget() : undefined
+
+    if (WEAPONS[name]) {
+      this.handleAction(name, aimTarget(), index)
+    } else if (DRONE_TYPES[name]) {
+      this.launchDrone(name, aimTarget())
+    } else if (name === "fireSelected") {
+      const target = this.getAimTarget()
+      if (player.droneTypes.length) {
+        this.launchDrone(this.selectedDroneType, target || undefined)
+      } else if (target) {
+        this.handleAction(this.selectedWeapons[index], target, index)
+      }
+    } else if (name === "previousDrone" || name === "nextDrone") {
+      this.cycleDroneType(name === "nextDrone" ? 1 : -1)
+    } else if (name === "pause") {
+      this.setPaused(!this.clock.isPaused)
+      if (this.net) {
+        const { game } = this.net
+        this.net.send({ type: "pause", game, isPaused: this.clock.isPaused })
+      }
+    } else if (name === "restart") {
+      if (this.sim.game.isOver) this.restart()
+    } else if (name === "fullscreen") {
+      this.toggleFullScreen()
+    }
+  }
+
+  // Steps through the attacker's drone types for fireSelected
+  cycleDroneType(step) {
+    const { attacker } = this.sim
+    if (!attacker) return
+    const types = attacker.droneTypes
+    const index = types.indexOf(this.selectedDroneType)
+    this.selectedDroneType = types[(index + step + types.length) % types.length]
+  }
+
+  isActionHeld(action) {
+    const { keys, buttons } = this.bindings[action]
+    const held = this.gamepadButtons[parsePlayerAction(action).player]
+    const heldKeys = [...this.heldKeys.values()]
+    return (
+      keys.some((key) => heldKeys.includes(key)) ||
+      buttons.some((button) => held[button])
+    )
+  }
+
+  isAiming(player = 0) {
+    return this.isActionHeld(toPlayerAction("aim", player))
+  }
+
+  // The point on the globe under the middle of the screen
+  getAimTarget() {
+    const rect = this.renderer.domElement.getBoundingClientRect()
+    return this.getEarthTarget(
+      rect.left + rect.width / 2,
+      rect.top + rect.height / 2,
+    )
+  }
+
+  // `player`'s gamepad in the standard layout, if connected: the first
+  // connected one for the first player, the second for the second
+  getGamepad(player = 0) {
+    if (typeof navigator === "undefined" || !navigator.getGamepads) return null
+    const pads = [...navigator.getGamepads()].filter(
+      (pad) => pad && pad.connected,
+    )
+    return pads[player] || null
+  }
+
+  // Fires actions for newly pressed gamepad buttons, or binds the first one
+  // pressed while rebinding one of this player's actions
+  pollGamepad(gamepad, player = 0) {
+    const pressed = gamepad
+      ? gamepad.buttons.map((button) => button.pressed || button.value > 0.5)
+      : []
+
+    pressed.forEach((isPressed, button) => {
+      if (!isPressed || this.gamepadButtons[player][button]) return
+      if (this.rebindingAction) {
+        if (parsePlayerAction(this.rebindingAction).player === player) {
+          this.rebind(this.rebindingAction, { button })
+        }
+        return
+      }
+
+      const action = this.findAction(undefined, button, player)
+      if (action && !HELD_ACTIONS.includes(parsePlayerAction(action).name)) {
+        this.runAction(action)
+      }
+    })
+    this.gamepadButtons[player] = pressed
+  }
+
+  // Orbits and zooms the camera from held keys, held buttons and the first
+  // player's sticks: the left stick orbits and the right stick zooms
+  updateCameraControls(delta) {
+    const gamepad = this.getGamepad()
+    this.pollGamepad(gamepad)
+    this.pollGamepad(this.getGamepad(1), 1)
+
+    const axis = (index) => {
+      const value = (gamepad && gamepad.axes[index]) || 0
+      return Math.abs(value) < this.stickDeadZone ? 0 : value
+    }
+    const held = (action) => (this.isActionHeld(action) ? 1 : 0)
+
+    const orbitX = held("orbitRight") - held("orbitLeft") + axis(0)
+    const orbitY = held("orbitDown") - held("orbitUp") + axis(1)
+    const zoom = held("zoomIn") - held("zoomOut") - axis(3)
+
+    if (orbitX || orbitY) {
+      this.orbitCamera(
+        orbitX * this.orbitSpeed * delta,
+        orbitY * this.orbitSpeed * delta,
+      )
+    }
+    if (zoom) this.zoomCamera(zoom * this.zoomRate * delta)
+
+    if (this.crosshair) {
+      const isAiming = this.sim.players.some((player) =>
+        this.isAiming(player.index),
+      )
+      this.crosshair.style.display = isAiming ? "block" : "none"
+    }
+  }
+
+  orbitCamera(deltaY, deltaX) {
+    this.cameraRotation.y += deltaY
+    this.cameraRotation.x += deltaX
+
+    // Limit vertical rotation to prevent flipping
+    this.cameraRotation.x = Math.max(
+      -Math.PI / 2 + 0.1,
+      Math.min(Math.PI / 2 - 0.1, this.cameraRotation.x),
+    )
+    this.updateCameraPosition()
+  }
+
+  zoomCamera(zoomDelta) {
+    this.currentZoom = Math.max(
+      this.minZoom,
+      Math.min(this.maxZoom, this.currentZoom + zoomDelta),
+    )
+    this.updateCameraPosition()
+  }
+
+  createCrosshair() {
+    const crosshair = document.createElement("div")
+    crosshair.style.position = this.overlayPosition
+    crosshair.style.width = "20px"
+    crosshair.style.height = "20px"
+    crosshair.style.border = "2px solid rgba(255, 255, 255, 0.8)"
+    crosshair.style.borderRadius = "50%"
+    crosshair.style.pointerEvents = "none"
+    crosshair.style.display = "none"
+    crosshair.style.zIndex = "1000"
+    this.container.appendChild(crosshair)
+    this.crosshair = crosshair
+    this.positionCrosshair()
+  }
+
+  // Centres the crosshair on the canvas
+  positionCrosshair() {
+    if (!this.crosshair || !this.renderer) return
+    const { width, height } = this.getViewportSize()
+    this.crosshair.style.left = `${width / 2 - 12}px`
+    this.crosshair.style.top = `${height / 2 - 12}px`
+  }
+
+  // `player` fires a weapon from the Earth's centre, or from `target`
+  // ({lat, long}) on the surface when given
+  handleAction(action, target, seat = 0) {
+    if (this.player || this.clock.isPaused) return
+    const player = this.getLocalPlayer(seat)
+    if (!this.sim.players[player]) return
+
+    // Online it fires a few ticks from now, on every globe at once
+    if (this.net) {
+      this.selectedWeapons[player] = action
+      this.net.queue(createFireAction(action, target, player))
+      return
+    }
+
+    if (this.sim.fire(action, target, this.sim.players[player])) {
+      this.selectedWeapons[player] = action
+      this.recorder.recordAction(this.sim.tick, action, target, player)
+    }
+  }
+
+  // The attacker launches a drone in a versus game, from above `target`
+  // ({lat, long}) when given
+  launchDrone(type, target) {
+    const { attacker } = this.sim
+    if (this.player || this.clock.isPaused || !attacker) return
+    if (this.getLocalPlayer(attacker.index) !== attacker.index) return
+
+    if (this.net) {
+      this.selectedDroneType = type
+      this.net.queue(createLaunchAction(type, target, attacker.index))
+      return
+    }
+
+    if (this.sim.launchDrone(type, target, attacker)) {
+      this.selectedDroneType = type
+      this.recorder.recordLaunch(this.sim.tick, type, target, attacker.index)
+    }
+  }
+
+  exportReplay() {
+    const replay = this.player
+      ? this.player.replay
+      : this.recorder.finish(this.sim.tick)
+
+    const blob = new Blob([JSON.stringify(replay)], {
+      type: "application/json",
+    })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `wavewar-replay-${replay.seed}.json`
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  importReplay(file) {
+    file
+      .text()
+      .then((text) => this.startPlayback(parseReplay(text)))
+      .catch((err) => this.log(`Could not load replay: ${err.message}`))
+  }
+
+  startPlayback(replay) {
+    if (this.net) {
+      this.log("Leave the online game to watch a replay")
+      return
+    }
+    this.hideGameOverScreen()
+    if (!this.player) {
+      this.liveCities = this.sim.cityDefinitions
+      this.liveMode = this.sim.mode
+    }
+    this.player = new ReplayPlayer(this.sim, replay)
+    this.createSecondPlayerPanel()
+    this.createReplayControls()
+    this.log(`Playing replay of game ${replay.seed}`)
+  }
+
+  stopPlayback() {
+    this.player = null
+    this.sim.setCities(this.liveCities)
+    this.sim.setMode(this.liveMode)
+    if (this.replayControls) {
+      this.replayControls.container.remove()
+      this.replayControls = null
+    }
+    this.startNewGame()
+    this.createSecondPlayerPanel()
+  }
+
+  createReplayControls() {
+    if (this.replayControls) this.replayControls.container.remove()
+
+    const container = document.createElement("div")
+    container.style.position = this.overlayPosition
+    container.style.top = "30px"
+    container.style.left = "50%"
+    container.style.transform = "translateX(-50%)"
+    container.style.padding = "8px 12px"
+    container.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    container.style.borderRadius = "15px"
+    container.style.zIndex = "1000"
+    container.style.display = "flex"
+    container.style.alignItems = "center"
+    container.style.gap = "10px"
+    container.style.color = "white"
+    container.style.fontFamily = "monospace"
+
+    const playButton = document.createElement("button")
+    playButton.style.width = "30px"
+    playButton.style.cursor = "pointer"
+    playButton.addEventListener("click", () => {
+      const { player } = this
+      if (player.isFinished) player.seek(0)
+      player.isPaused = !player.isPaused
+    })
+
+    const seekBar = document.createElement("input")
+    seekBar.type = "range"
+    seekBar.min = "0"
+    seekBar.max = String(this.player.replay.ticks)
+    seekBar.style.width = "200px"
+    seekBar.addEventListener("input", () => {
+      this.player.seek(Number(seekBar.value))
+    })
+
+    const time = document.createElement("span")
+
+    const speedSelect = document.createElement("select")
+    ;[0.5, 1, 2, 4, 8].forEach((speed) => {
+      const option = document.createElement("option")
+      option.value = String(speed)
+      option.textContent = `${speed}x`
+      option.selected = speed === 1
+      speedSelect.appendChild(option)
+    })
+    speedSelect.addEventListener("change", () => {
+      this.player.speed = Number(speedSelect.value)
+    })
 
-      button.addEventListener("click", () => this.handleAction(action))
-      return button
-    }
+    const exitButton = document.createElement("button")
+    exitButton.textContent = "Exit replay"
+    exitButton.style.cursor = "pointer"
+    exitButton.addEventListener("click", () => this.stopPlayback())
 
-    const empButton = createButton("E", "#4CAF50", "EMP")
-    const soundButton = createButton("S", "#2196F3", "SOUND")
+    container.appendChild(playButton)
+    container.appendChild(seekBar)
+    container.appendChild(time)
+    container.appendChild(speedSelect)
+    container.appendChild(exitButton)
+    this.container.appendChild(container)
 
-    buttonContainer.appendChild(empButton)
-    buttonContainer.appendChild(soundButton)
-    controlPanel.appendChild(buttonContainer)
+    this.replayControls = { container, playButton, seekBar, time }
+  }
 
-    // Add keyboard shortcut hint
-    const shortcutHint = document.createElement("div")
-    shortcutHint.textContent = "Press E or S"
-    shortcutHint.style.color = "rgba(255, 255, 255, 0.5)"
-    shortcutHint.style.fontSize = "12px"
-    shortcutHint.style.marginTop = "5px"
-    controlPanel.appendChild(shortcutHint)
+  updateReplayControls() {
+    const { player, sim } = this
+    const { playButton, seekBar, time } = this.replayControls
 
-    document.body.appendChild(controlPanel)
+    playButton.textContent = player.isPaused || player.isFinished ? "▶" : "❚❚"
+    seekBar.value = String(sim.tick)
 
-    // Add keyboard listeners
-    document.addEventListener("keydown", (e) => {
-      if (e.key.toLowerCase() === "e") {
-        this.handleAction("EMP")
-      } else if (e.key.toLowerCase() === "s") {
-        this.handleAction("SOUND")
-      }
-       else if (e.key.toLowerCase() === "f") {
-        this.toggleFullScreen()
-      }
-    })
+    const seconds = (ticks) => Math.floor((ticks * sim.step) / 1000)
+    time.textContent = `${seconds(sim.tick)}s / ${seconds(player.replay.ticks)}s`
   }
 
-  handleAction(action) {
-    const cooldownProperty = action.toLowerCase() + "Cooldown"
-    if (!this[cooldownProperty]) {
-      if (action === "EMP") {
-        this.triggerEMP()
-      } else {
-        this.triggerSound()
-      }
+  updateControlPanel() {
+    const { sim } = this
 
-      // Handle cooldown
-      this[cooldownProperty] = true
-      setTimeout(() => {
-        this[cooldownProperty] = false
-      }, this.soundCooldownDuration)
-    }
-  }
+    // Online the first player's controls are ours
+    const getPlayer = (seat) =>
+      sim.players[seat === 0 ? Math.max(0, this.getLocalPlayer(0)) : seat]
 
-  triggerSound() {
-    const soundGeometry = new THREE.SphereGeometry(0.5, 32, 32)
-    const soundMaterial = new THREE.ShaderMaterial({
-      transparent: true,
-      uniforms: {
-        time: { value: 0 },
-        color: { value: new THREE.Color(0x2196f3) },
-        maxRadius: { value: 5.0 },
-      },
-      vertexShader: `
-        varying vec3 vNormal;
-        void main() {
-          vNormal = normalize(normalMatrix * normal);
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform float time;
-        uniform vec3 color;
-        uniform float maxRadius;
-        varying vec3 vNormal;
-
-        void main() {
-          float intensity = 1.0 - (time * time);
-          float edge = 0.1;
-          float rim = smoothstep(0.5 - edge, 0.5 + edge, dot(vNormal, vec3(0.0, 0.0, 1.0)));
-          float wave = sin(time * 20.0) * 0.5 + 0.5;
-          gl_FragColor = vec4(color, intensity * (1.0 - rim) * wave * 0.7);
-        }
-      `,
-    })
+    Object.entries(this.weaponButtons).forEach(([action, { button, ring }]) => {
+      const { player: seat, name } = parsePlayerAction(action)
+      const player = getPlayer(seat)
+      if (!player) return
 
-    const soundWave = new THREE.Mesh(soundGeometry, soundMaterial)
-    this.scene.add(soundWave)
+      const weapon = WEAPONS[name]
+      const remaining = Math.max(0, (player.cooldowns[name] || 0) - sim.time)
+      const progress = 1 - remaining / weapon.cooldown
+      const ready = sim.isWeaponReady(weapon, player)
 
-    const wave = {
-      mesh: soundWave,
-      geometry: soundGeometry,
-      material: soundMaterial,
-      startTime: Date.now(),
-      duration: 2000,
-      maxScale: 8,
-    }
+      ring.style.background = `conic-gradient(${weapon.buttonColor} ${progress * 360}deg, rgba(255, 255, 255, 0.1) 0deg)`
+      button.style.opacity = ready ? "1" : "0.4"
+      button.style.cursor = ready ? "pointer" : "not-allowed"
+      button.disabled = !ready
+    })
 
-    this.activeSoundWaves.push(wave)
+    Object.entries(this.launchButtons).forEach(([name, button]) => {
+      const { attacker, rounds } = sim
+      const ready =
+        attacker &&
+        !rounds.isIntermission &&
+        attacker.isReady(name, DRONE_TYPES[name].points)
+      button.style.opacity = ready ? "1" : "0.4"
+      button.style.outline =
+        name === this.selectedDroneType ? "1px solid white" : "none"
+      button.disabled = !ready
+    })
 
-    if (this.activeSoundWaves.length === 1) {
-      this.animateSoundWaves()
-    }
+    this.energyBars.forEach((energyBar, seat) => {
+      const player = getPlayer(seat)
+      if (!player) return
+      energyBar.style.width = `${(player.energy / sim.game.maxEnergy) * 100}%`
+    })
   }
 
-  animateSoundWaves() {
-    for (let i = this.activeSoundWaves.length - 1; i >= 0; i--) {
-      const wave = this.activeSoundWaves[i]
-      const elapsed = Date.now() - wave.startTime
-      const progress = elapsed / wave.duration
-
-      if (progress >= 1) {
-        this.scene.remove(wave.mesh)
-        wave.geometry.dispose()
-        wave.material.dispose()
-        this.activeSoundWaves.splice(i, 1)
-      } else {
-        const scale = 1 + (wave.maxScale - 1) * progress
-        wave.mesh.scale.set(scale, scale, scale)
-        wave.material.uniforms.time.value = progress
+  // Every drone of a type shares one pool: a body and two wings
+  getDronePool(type) {
+    if (this.dronePools[type.name]) return this.dronePools[type.name]
+
+    if (!this.droneGeometries) {
+      this.droneGeometries = {
+        body: new THREE.BoxGeometry(0.03, 0.01, 0.02),
+        leftWing: new THREE.BoxGeometry(0.02, 0.002, 0.02).translate(
+          -0.02,
+          0,
+          0,
+        ),
+        rightWing: new THREE.BoxGeometry(0.02, 0.002, 0.02).translate(
+          0.02,
+          0,
+          0,
+        ),
       }
     }
+    const { body, leftWing, rightWing } = this.droneGeometries
 
-    if (this.activeSoundWaves.length > 0) {
-      requestAnimationFrame(() => this.animateSoundWaves())
-    }
+    const { color, emissive, wingColor } = type
+    const bodyMaterial = new THREE.MeshPhongMaterial({
+      color,
+      emissive,
+      shininess: 30,
+    })
+    const wingMaterial = new THREE.MeshPhongMaterial({
+      color: wingColor,
+      shininess: 20,
+    })
+
+    const pool = new InstancePool(this.scene, [
+      { geometry: body, material: bodyMaterial },
+      { geometry: leftWing, material: wingMaterial },
+      { geometry: rightWing, material: wingMaterial },
+    ])
+    this.dronePools[type.name] = pool
+    return pool
   }
 
-  triggerEMP() {
-    // Create a sphere geometry for the EMP wave
-    const empGeometry = new THREE.SphereGeometry(0.5, 32, 32)
-    const empMaterial = new THREE.ShaderMaterial({
-      transparent: true,
-      uniforms: {
-        time: { value: 0 },
-        color: { value: new THREE.Color(0x00ff00) },
-        maxRadius: { value: 5.0 },
-      },
-      vertexShader: `
-        varying vec3 vNormal;
-        void main() {
-          vNormal = normalize(normalMatrix * normal);
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform float time;
-        uniform vec3 color;
-        uniform float maxRadius;
-        varying vec3 vNormal;
-
-        void main() {
-          float intensity = 1.0 - (time * time); // Inverse square law decay
-          float edge = 0.05;
-          float rim = smoothstep(0.5 - edge, 0.5 + edge, dot(vNormal, vec3(0.0, 0.0, 1.0)));
-          gl_FragColor = vec4(color, intensity * (1.0 - rim) * 0.5);
-        }
-      `,
+  // Places a drone's instance at its position, nose along its heading, belly
+  // to the Earth and rolled by its bank
+  placeDrone(pool, id, { position, heading, bank }, scale) {
+    const dummy = this.instanceDummy
+    const up = setLengthVec3(position, 1)
+    const roof = addVec3(
+      scaleVec3(up, Math.cos(bank)),
+      scaleVec3(crossVec3(up, heading), Math.sin(bank)),
+    )
+    dummy.position.set(position.x, position.y, position.z)
+    dummy.up.set(roof.x, roof.y, roof.z)
+    dummy.lookAt(
+      position.x + heading.x,
+      position.y + heading.y,
+      position.z + heading.z,
+    )
+    dummy.scale.setScalar(scale)
+    dummy.updateMatrix()
+    pool.set(id, dummy.matrix)
+  }
+
+  // Moves drone instances and creates meshes for new waves to match the
+  // simulation
+  syncGameObjects() {
+    this.sim.drones.forEach((drone) => {
+      const { id, type } = drone
+      this.placeDrone(this.getDronePool(type), id, drone, type.scale)
+    })
+
+    this.sim.waves.forEach((wave) => {
+      let mesh = this.waveMeshes.get(wave.id)
+      if (!mesh) {
+        mesh = wave.weapon.createMesh(wave.weapon)
+        mesh.position.set(wave.origin.x, wave.origin.y, wave.origin.z)
+        this.waveMeshes.set(wave.id, mesh)
+        this.scene.add(mesh)
+      }
+      wave.weapon.updateMesh(mesh, wave)
     })
+  }
 
-    const empWave = new THREE.Mesh(empGeometry, empMaterial)
-    this.scene.add(empWave)
+  removeDroneMesh(drone) {
+    const pool = this.dronePools[drone.type.name]
+    if (pool) pool.release(drone.id)
+  }
 
-    // Create wave object to track this specific wave
-    const wave = {
-      mesh: empWave,
-      geometry: empGeometry,
-      material: empMaterial,
-      startTime: Date.now(),
-      duration: 2000, // 2 seconds
-      maxScale: 10,
+  removeWaveMesh(id) {
+    const mesh = this.waveMeshes.get(id)
+    if (!mesh) return
+    this.scene.remove(mesh)
+    mesh.geometry.dispose()
+    mesh.material.dispose()
+    this.waveMeshes.delete(id)
+  }
+
+  // Every explosion's particles share one pool, coloured per instance
+  getParticlePool() {
+    if (!this.particlePool) {
+      this.particleGeometry = new THREE.BoxGeometry(0.01, 0.01, 0.01)
+      this.particleMaterial = new THREE.MeshPhongMaterial({
+        color: 0xffffff, // Tinted by each particle's instance colour
+        emissive: 0x441111,
+      })
+      this.particlePool = new InstancePool(
+        this.scene,
+        [
+          {
+            geometry: this.particleGeometry,
+            material: this.particleMaterial,
+            colors: true,
+          },
+        ],
+        256,
+      )
     }
+    return this.particlePool
+  }
 
-    // Add to active waves array
-    this.activeEMPWaves.push(wave)
+  startExplosion(drone) {
+    // The drone's instance shrinks away in place before it's released
+    const pool = this.dronePools[drone.type.name]
+    if (!pool || !pool.has(drone.id)) return
+    this.audio.playExplosion(drone.position)
 
-    // Modify the animate method to handle multiple waves
-    if (this.activeEMPWaves.length === 1) {
-      // Only start if this is the first wave
-      this.animateEMPWaves()
+    // Create explosion particles
+    const particleCount = 20
+    const particles = []
+    for (let i = 0; i < particleCount; i++) {
+      particles.push({
+        key: this.nextParticleKey++,
+        // Random direction for particle, in units per second
+        velocity: new THREE.Vector3(
+          (Math.random() - 0.5) * 1.2,
+          (Math.random() - 0.5) * 1.2,
+          (Math.random() - 0.5) * 1.2,
+        ),
+        color: new THREE.Color(Math.random() > 0.5 ? 0xff4444 : 0xff7700),
+      })
     }
+
+    this.explosions.push({
+      drone: {
+        pool,
+        id: drone.id,
+        position: drone.position,
+        heading: drone.heading,
+        bank: drone.bank,
+        scale: drone.type.scale,
+      },
+      origin: new THREE.Vector3(
+        drone.position.x,
+        drone.position.y,
+        drone.position.z,
+      ),
+      particles,
+      startTime: this.clock.time,
+      duration: 1000, // 1 second explosion animation
+    })
   }
 
-  animateEMPWaves() {
-    // Process all active waves
-    for (let i = this.activeEMPWaves.length - 1; i >= 0; i--) {
-      const wave = this.activeEMPWaves[i]
-      const elapsed = Date.now() - wave.startTime
-      const progress = elapsed / wave.duration
+  updateExplosions() {
+    const particlePool = this.getParticlePool()
+    const dummy = this.instanceDummy
+
+    this.explosions = this.explosions.filter((explosion) => {
+      const { drone, origin, particles, startTime, duration } = explosion
+      const age = (this.clock.time - startTime) / 1000 // Seconds
+      const progress = (this.clock.time - startTime) / duration
 
       if (progress >= 1) {
-        // Remove completed wave
-        this.scene.remove(wave.mesh)
-        wave.geometry.dispose()
-        wave.material.dispose()
-        this.activeEMPWaves.splice(i, 1)
-      } else {
-        // Update wave
-        const scale = 1 + (wave.maxScale - 1) * progress
-        wave.mesh.scale.set(scale, scale, scale)
-        wave.material.uniforms.time.value = progress
+        // Release drone and particles
+        drone.pool.release(drone.id)
+        particles.forEach(({ key }) => particlePool.release(key))
+        return false
       }
+
+      // Particles fly out and shrink by 5% every 1/60th of a second, and
+      // the drone shrinks away faster
+      const particleScale = Math.pow(0.95, age * 60)
+      dummy.quaternion.identity()
+      dummy.scale.setScalar(particleScale)
+      particles.forEach(({ key, velocity, color }) => {
+        dummy.position.copy(origin).addScaledVector(velocity, age)
+        dummy.updateMatrix()
+        particlePool.set(key, dummy.matrix, color)
+      })
+
+      this.placeDrone(
+        drone.pool,
+        drone.id,
+        drone,
+        drone.scale * Math.pow(0.9, age * 60),
+      )
+      return true
+    })
+  }
+
+  // Frees the pools along with the geometries and materials they draw with
+  disposeInstancePools() {
+    Object.values(this.dronePools).forEach((pool) => {
+      pool.dispose()
+      pool.parts.forEach(({ material }) => material.dispose())
+    })
+    this.dronePools = {}
+    if (this.droneGeometries) {
+      Object.values(this.droneGeometries).forEach((geometry) =>
+        geometry.dispose(),
+      )
+      this.droneGeometries = null
     }
 
-    // Continue animation if there are still active waves
-    if (this.activeEMPWaves.length > 0) {
-      requestAnimationFrame(() => this.animateEMPWaves())
+    if (this.particlePool) {
+      this.particlePool.dispose()
+      this.particleGeometry.dispose()
+      this.particleMaterial.dispose()
+      this.particlePool = null
     }
   }
 
+  // Uploads this frame's drone and particle instances
+  updateInstancePools() {
+    Object.values(this.dronePools).forEach((pool) => pool.update())
+    if (this.particlePool) this.particlePool.update()
+  }
+
   updateCameraPosition() {
     // Convert spherical coordinates to Cartesian
     const phi = this.cameraRotation.x // vertical angle
@@ -523,13 +5052,8 @@ class Globe {
 
     // Initialize scene, camera, renderer, etc.
     this.scene = new THREE.Scene()
-    const height = window.innerHeight - 100
-    this.camera = new THREE.PerspectiveCamera(
-      75,
-      window.innerWidth / height,
-      0.1,
-      1000,
-    )
+    const { width, height } = this.getViewportSize()
+    this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000)
 
     // Set initial camera position
     this.cameraDistance = 1
@@ -537,39 +5061,19 @@ class Globe {
 
     // Set up renderer with alpha and better quality
     this.renderer = new THREE.WebGLRenderer({ antialias: true })
-    this.renderer.setSize(window.innerWidth, height)
+    this.renderer.setSize(width, height)
     this.renderer.setClearColor(0x000000) // Set background to black
-    document.body.prepend(this.renderer.domElement)
+    this.container.prepend(this.renderer.domElement)
 
     // Create starry background
     this.createStarField()
 
-    // Create Earth with better lighting
-    const geometry = new THREE.SphereGeometry(0.5, 32, 32)
-    const texture = new THREE.TextureLoader().load("earth_atmos_2048.jpg")
-
-    // Use PhongMaterial for better lighting
-    const material = new THREE.MeshPhongMaterial({
-      map: texture,
-      specular: 0x333333,
-      shininess: 5,
-    })
-
-    this.earth = new THREE.Mesh(geometry, material)
-    this.scene.add(this.earth)
-
-    // Add ambient light
-    const ambientLight = new THREE.AmbientLight(0xfffffff)
-    this.scene.add(ambientLight)
-
-    // Add directional light
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.4)
-    directionalLight.position.set(5, 3, 5)
-    this.scene.add(directionalLight)
+    this.createPlanet()
+    this.cityMarkers = new Map() // The old markers went with the old earth
+    this.createCityMarkers()
 
     // Add mouse and zoom controls
-    this.setupMouseControls()
-    this.setupZoomControls()
+    this.setupPointerControls()
 
     // Start the animation loop
     this.animate()
@@ -577,110 +5081,304 @@ class Globe {
     return this
   }
 
-  setupMouseControls() {
-    const canvas = this.renderer.domElement
+  // The Earth lit by the sun where it is right now, with lights on its night
+  // side, clouds and an atmosphere. Drones, markers and spikes are lit by the
+  // same sun.
+  createPlanet() {
+    const sunDirection = { value: new THREE.Vector3(0, 0, 1) }
+    const dayNight = { value: 1 }
 
-    canvas.addEventListener("mousedown", (e) => {
-      this.isDragging = true
-      this.previousMousePosition = {
-        x: e.clientX,
-        y: e.clientY,
-      }
-    })
+    const canvas = document.createElement("canvas")
+    canvas.width = 1024
+    canvas.height = 512
+    const nightLights = new THREE.CanvasTexture(canvas)
+    const dayTexture = new THREE.TextureLoader().load("earth_atmos_2048.jpg")
 
-    canvas.addEventListener("mousemove", (e) => {
-      if (!this.isDragging) return
+    const earthMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        dayMap: { value: dayTexture },
+        nightMap: { value: nightLights },
+        nightLights: { value: 1 },
+        sunDirection,
+        dayNight,
+      },
+      vertexShader: EARTH_VERTEX_SHADER,
+      fragmentShader: EARTH_FRAGMENT_SHADER,
+    })
+    this.earth = new THREE.Mesh(
+      new THREE.SphereGeometry(0.5, 64, 64),
+      earthMaterial,
+    )
+    this.scene.add(this.earth)
 
-      const deltaMove = {
-        x: e.clientX - this.previousMousePosition.x,
-        y: e.clientY - this.previousMousePosition.y,
-      }
+    const clouds = new THREE.Mesh(
+      new THREE.SphereGeometry(0.505, 64, 64),
+      new THREE.ShaderMaterial({
+        uniforms: { cover: { value: 0.45 }, sunDirection, dayNight },
+        vertexShader: CLOUD_VERTEX_SHADER,
+        fragmentShader: CLOUD_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+      }),
+    )
+    this.scene.add(clouds)
+
+    const atmosphere = new THREE.Mesh(
+      new THREE.SphereGeometry(0.56, 64, 64),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          color: { value: new THREE.Color(0x4d8fff) },
+          sunDirection,
+          dayNight,
+        },
+        vertexShader: ATMOSPHERE_VERTEX_SHADER,
+        fragmentShader: ATMOSPHERE_FRAGMENT_SHADER,
+        side: THREE.BackSide,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false,
+      }),
+    )
+    this.scene.add(atmosphere)
 
-      // Adjust rotation speed based on movement
-      const rotationSpeed = 0.005
+    const ambientLight = new THREE.AmbientLight(0xffffff)
+    this.scene.add(ambientLight)
+    const sunLight = new THREE.DirectionalLight(0xffffff)
+    this.scene.add(sunLight)
+
+    this.planet = {
+      sunDirection,
+      dayNight,
+      earthMaterial,
+      dayTexture,
+      nightCanvas: canvas,
+      nightLights,
+      clouds,
+      atmosphere,
+      ambientLight,
+      sunLight,
+    }
+    if (this.nightLightsUrl) {
+      this.loadNightLights(this.nightLightsUrl)
+    } else {
+      this.drawNightLights()
+    }
+    this.applyGraphics()
+  }
 
-      // Update camera orbit angles
-      this.cameraRotation.y += deltaMove.x * rotationSpeed
-      this.cameraRotation.x += deltaMove.y * rotationSpeed
+  // Turns each of the graphics settings on or off
+  applyGraphics() {
+    const { planet, graphics } = this
+    if (!planet) return
+
+    planet.dayNight.value = graphics.dayNight ? 1 : 0
+    planet.earthMaterial.uniforms.nightLights.value = graphics.nightLights
+      ? 1
+      : 0
+    planet.clouds.visible = graphics.clouds
+    planet.atmosphere.visible = graphics.atmosphere
+
+    // Without day and night the whole globe is lit, as it used to be
+    planet.ambientLight.intensity = graphics.dayNight ? 0.35 : 1
+    planet.sunLight.intensity = graphics.dayNight ? 0.9 : 0.4
+    this.updateSun()
+  }
 
-      // Limit vertical rotation to prevent flipping
-      this.cameraRotation.x = Math.max(
-        -Math.PI / 2 + 0.1,
-        Math.min(Math.PI / 2 - 0.1, this.cameraRotation.x),
-      )
+  // Points the light at where the sun is now, or a fixed angle without day
+  // and night
+  updateSun() {
+    const { planet } = this
+    if (!planet) return
 
-      // Update camera position
-      this.updateCameraPosition()
+    let direction = setLengthVec3(vec3(5, 3, 5), 1)
+    if (this.graphics.dayNight) {
+      const { lat, long } = getSubsolarPoint(new Date())
+      direction = setLengthVec3(latLongToPoint(lat, long), 1)
+    }
+    const { x, y, z } = direction
+    planet.sunDirection.value.set(x, y, z)
+    planet.sunLight.position.set(x * 5, y * 5, z * 5)
+  }
 
-      this.previousMousePosition = {
-        x: e.clientX,
-        y: e.clientY,
+  // Lights for the night side: a glow over each city still standing, with
+  // towns scattered around it, on an equirectangular map like the day
+  // texture. Skipped when nightLightsUrl gives a texture instead.
+  drawNightLights() {
+    const { planet } = this
+    if (!planet || this.nightLightsUrl) return
+
+    const canvas = planet.nightCanvas
+    const { width, height } = canvas
+    const context = canvas.getContext("2d")
+    context.fillStyle = "black"
+    context.fillRect(0, 0, width, height)
+
+    const random = createRng(1) // The same towns every time
+    this.sim.cities.forEach((city) => {
+      if (city.isDestroyed) return
+      const x = ((city.long + 180) / 360) * width
+      const y = ((90 - city.lat) / 180) * height
+
+      const glow = context.createRadialGradient(x, y, 0, x, y, 14)
+      glow.addColorStop(0, "rgba(255, 220, 150, 0.9)")
+      glow.addColorStop(1, "rgba(255, 180, 90, 0)")
+      context.fillStyle = glow
+      context.fillRect(x - 14, y - 14, 28, 28)
+
+      context.fillStyle = "rgba(255, 200, 120, 0.7)"
+      for (let i = 0; i < 60; i++) {
+        const angle = random() * Math.PI * 2
+        const distance = 4 + random() * random() * 40
+        context.fillRect(
+          x + Math.cos(angle) * distance,
+          y + Math.sin(angle) * distance * 0.6,
+          1.5,
+          1.5,
+        )
       }
     })
+    planet.nightLights.needsUpdate = true
+  }
 
-    window.addEventListener("mouseup", () => {
-      this.isDragging = false
-    })
-
-    canvas.addEventListener("selectstart", (e) => {
-      e.preventDefault()
-    })
+  // Uses the image at `url` (an equirectangular map of the Earth at night)
+  // for the night lights
+  loadNightLights(url) {
+    this.nightLightsUrl = url
+    const { planet } = this
+    if (!planet) return
+
+    new THREE.TextureLoader().load(
+      url,
+      (texture) => {
+        if (this.planet !== planet) {
+          texture.dispose()
+          return
+        }
+        planet.nightLights.dispose()
+        planet.nightLights = texture
+        planet.earthMaterial.uniforms.nightMap.value = texture
+      },
+      undefined,
+      () => this.log(`Could not load night lights from ${url}`),
+    )
   }
 
-  setupZoomControls() {
+  // Mouse, touch and pen share one set of pointer handlers: drag to orbit,
+  // pinch to zoom, tap to fire the selected weapon at the globe
+  setupPointerControls() {
     const canvas = this.renderer.domElement
+    canvas.style.touchAction = "none" // No browser panning or double-tap zoom
 
-    canvas.addEventListener("wheel", (e) => {
-      e.preventDefault()
+    const pointers = this.pointers
+    pointers.clear()
+    let tap = null // Where the gesture started, while it could still be a tap
+    let pinchDistance = 0
 
-      const zoomDelta = e.deltaY > 0 ? -this.zoomSpeed : this.zoomSpeed
+    const getPinchDistance = () => {
+      const [first, second] = [...pointers.values()]
+      return Math.hypot(second.x - first.x, second.y - first.y)
+    }
 
-      this.currentZoom = Math.max(
-        this.minZoom,
-        Math.min(this.maxZoom, this.currentZoom + zoomDelta),
-      )
+    this.listen(canvas, "pointerdown", (e) => {
+      if (e.pointerType === "mouse" && e.button !== 0) return
+      canvas.setPointerCapture(e.pointerId)
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
 
-      this.updateCameraPosition()
+      tap = pointers.size === 1 ? { x: e.clientX, y: e.clientY } : null
+      if (pointers.size === 2) pinchDistance = getPinchDistance()
+      this.isDragging = true
+      this.orbitVelocity = { x: 0, y: 0 }
+      this.lastDragTime = performance.now()
     })
 
-    let touchDistance = 0
+    this.listen(canvas, "pointermove", (e) => {
+      const pointer = pointers.get(e.pointerId)
+      if (!pointer) return
 
-    canvas.addEventListener("touchstart", (e) => {
-      if (e.touches.length === 2) {
-        const touch1 = e.touches[0]
-        const touch2 = e.touches[1]
-        touchDistance = Math.hypot(
-          touch2.clientX - touch1.clientX,
-          touch2.clientY - touch1.clientY,
-        )
+      const deltaMove = { x: e.clientX - pointer.x, y: e.clientY - pointer.y }
+      pointer.x = e.clientX
+      pointer.y = e.clientY
+      if (tap && Math.hypot(e.clientX - tap.x, e.clientY - tap.y) > 5) {
+        tap = null
+      }
+
+      if (pointers.size === 2) {
+        const distance = getPinchDistance()
+        if (pinchDistance) {
+          this.zoomCamera(this.currentZoom * (distance / pinchDistance - 1))
+        }
+        pinchDistance = distance
+      } else if (pointers.size === 1) {
+        // Adjust rotation speed based on movement
+        const rotationSpeed = 0.005
+        const orbit = {
+          x: deltaMove.x * rotationSpeed,
+          y: deltaMove.y * rotationSpeed,
+        }
+        this.orbitCamera(orbit.x, orbit.y)
+
+        // Remember how fast it was turning, to coast on after release
+        const now = performance.now()
+        const seconds = Math.max(now - this.lastDragTime, 1) / 1000
+        this.lastDragTime = now
+        this.orbitVelocity = {
+          x: this.orbitVelocity.x * 0.2 + (orbit.x / seconds) * 0.8,
+          y: this.orbitVelocity.y * 0.2 + (orbit.y / seconds) * 0.8,
+        }
       }
     })
 
-    canvas.addEventListener("touchmove", (e) => {
-      if (e.touches.length === 2) {
-        e.preventDefault()
+    const endPointer = (e) => {
+      if (!pointers.delete(e.pointerId)) return
+      if (canvas.hasPointerCapture && canvas.hasPointerCapture(e.pointerId)) {
+        canvas.releasePointerCapture(e.pointerId)
+      }
 
-        const touch1 = e.touches[0]
-        const touch2 = e.touches[1]
-        const newDistance = Math.hypot(
-          touch2.clientX - touch1.clientX,
-          touch2.clientY - touch1.clientY,
-        )
+      // A press that didn't drag the camera fires at the globe
+      if (e.type === "pointerup" && tap && !pointers.size) {
+        const target = this.getEarthTarget(e.clientX, e.clientY)
+        if (target) this.handleAction(this.selectedWeapons[0], target)
+      }
+      tap = null
+      pinchDistance = pointers.size === 2 ? getPinchDistance() : 0
+
+      if (!pointers.size) {
+        this.isDragging = false
+        // Holding still before letting go shouldn't fling the globe
+        if (performance.now() - this.lastDragTime > 100) {
+          this.orbitVelocity = { x: 0, y: 0 }
+        }
+      }
+    }
+    this.listen(canvas, "pointerup", endPointer)
+    this.listen(canvas, "pointercancel", endPointer)
 
-        const delta = newDistance - touchDistance
-        const zoomDelta = delta * 0.01 * this.zoomSpeed
+    this.listen(canvas, "wheel", (e) => {
+      e.preventDefault()
 
-        this.currentZoom = Math.max(
-          this.minZoom,
-          Math.min(this.maxZoom, this.currentZoom + zoomDelta),
-        )
+      this.zoomCamera(e.deltaY > 0 ? -this.zoomSpeed : this.zoomSpeed)
+    })
 
-        this.updateCameraPosition()
-        touchDistance = newDistance
-      }
+    this.listen(canvas, "selectstart", (e) => {
+      e.preventDefault()
     })
   }
 
+  // Keeps the globe turning after a drag is released, slowing to a stop
+  updateOrbitInertia(delta) {
+    const { orbitVelocity } = this
+    if (this.isDragging || (!orbitVelocity.x && !orbitVelocity.y)) return
+
+    this.orbitCamera(orbitVelocity.x * delta, orbitVelocity.y * delta)
+
+    const friction = Math.exp(-this.orbitFriction * delta)
+    orbitVelocity.x *= friction
+    orbitVelocity.y *= friction
+    if (Math.hypot(orbitVelocity.x, orbitVelocity.y) < 0.01) {
+      this.orbitVelocity = { x: 0, y: 0 }
+    }
+  }
+
   animate() {
     if (!this.earth) return
 
@@ -688,85 +5386,331 @@ class Globe {
 
     this.animationId = requestAnimationFrame(this.animate.bind(this))
 
-    const currentTime = Date.now()
-    const delta = (currentTime - (this.lastFrameTime || currentTime)) / 1000
-    this.lastFrameTime = currentTime
-
-    // Spawn new drones
-    if (
-      currentTime - this.lastDroneSpawn > this.droneSpawnInterval &&
-      this.drones.length < this.maxDrones
-    ) {
-      this.drones.push(new Drone(this))
-      this.lastDroneSpawn = currentTime
-      this.droneSpawnInterval = Math.max(10, this.droneSpawnInterval * .8)
+    // Frames per second in real time, smoothed, for the HUD
+    const frameStart = performance.now()
+    if (this.lastFrameStart !== null && frameStart > this.lastFrameStart) {
+      const fps = 1000 / (frameStart - this.lastFrameStart)
+      this.fps = this.fps * 0.95 + fps * 0.05
     }
-
-    // Update drones
-    this.drones.forEach((drone) => drone.update(delta))
-
-    const AUTO_ROTATE_SPEED = 0.0003
-
-    // Auto-rotate camera when not dragging
-    if (this.shouldRotate && !this.isDragging) {
-      this.cameraRotation.y += AUTO_ROTATE_SPEED
-      this.updateCameraPosition()
+    this.lastFrameStart = frameStart
+
+    // Milliseconds of game time since the last frame; 0 while paused
+    const elapsed = this.clock.tick()
+    const delta = elapsed / 1000
+
+    // Step the game (or the replay, or the online game), then draw its state
+    if (this.player) {
+      this.player.advance(elapsed)
+    } else if (this.net) {
+      this.net.advance(elapsed)
+    } else {
+      this.sim.advance(elapsed)
     }
-
-    // Update spikes
-    spikes.forEach((spike, index) => {
-      spike.scale.y *= 0.95
-      if (spike.scale.y < 0.01) {
-        earth.remove(spike)
-        spikes.splice(index, 1)
+    this.syncGameObjects()
+    this.updateExplosions()
+    this.updateInstancePools()
+    this.audio.update(camera, this.sim.drones)
+    this.updateControlPanel()
+    this.updateHud()
+    this.drawMinimap()
+    this.updateCallouts()
+    this.updatePlanet(delta)
+
+    const AUTO_ROTATE_SPEED = 0.018 // Radians per second
+
+    if (this.player) {
+      // Follow the recorded camera
+      const camera = this.player.getCamera()
+      if (camera) {
+        this.cameraRotation = camera.rotation
+        this.currentZoom = camera.zoom
+        this.updateCameraPosition()
+      }
+      this.updateReplayControls()
+    } else {
+      this.updateCameraControls(delta)
+      this.updateOrbitInertia(delta)
+
+      // Auto-rotate camera when not dragging
+      if (this.shouldRotate && !this.isDragging) {
+        this.cameraRotation.y += AUTO_ROTATE_SPEED * delta
+        this.updateCameraPosition()
       }
+      this.recorder.recordCamera(
+        this.sim.tick,
+        this.cameraRotation,
+        this.currentZoom,
+      )
+    }
+
+    // Shrink spikes by 5% every 1/60th of a second
+    const spikeDecay = Math.pow(0.95, delta * 60)
+    this.spikes = spikes.filter((spike) => {
+      spike.scale.y *= spikeDecay
+      if (spike.scale.y >= 0.01) return true
+
+      earth.remove(spike)
+      spike.geometry.dispose()
+      spike.material.dispose()
+      return false
     })
 
     renderer.render(scene, camera)
   }
 
+  // The sun only needs to move about once a second; the clouds drift with
+  // game time, so they stop when it's paused
+  updatePlanet(delta) {
+    if (!this.planet) return
+    const now = performance.now()
+    if (now - this.sunUpdatedAt >= 1000) {
+      this.sunUpdatedAt = now
+      this.updateSun()
+    }
+    this.planet.clouds.rotation.y += this.cloudSpeed * delta
+  }
+
   removeGlobe() {
     // Cancel the previous animation frame to stop multiple animations
     if (this.animationId) {
       cancelAnimationFrame(this.animationId)
+      this.animationId = null
     }
 
-    // Remove event listeners if they exist
-    if (this.renderer) {
-      const canvas = this.renderer.domElement
-      canvas.removeEventListener("mousedown", this.onMouseDown)
-      canvas.removeEventListener("mousemove", this.onMouseMove)
-      canvas.removeEventListener("selectstart", this.onSelectStart)
-    }
-
-    // Dispose of the renderer, scene, and event listeners
+    // Canvas listeners go with the canvas
     if (this.renderer) {
+      this.unlisten(this.renderer.domElement)
       this.renderer.dispose()
       this.renderer.domElement.remove()
     }
+
+    // Dispose of everything in the scene, including the Earth's markers and
+    // spikes
     if (this.scene) {
-      while (this.scene.children.length > 0) {
-        const object = this.scene.children[0]
+      this.scene.traverse((object) => {
         if (object.geometry) object.geometry.dispose()
-        if (object.material) object.material.dispose()
-        this.scene.remove(object)
-      }
+        if (object.material) {
+          if (object.material.map) object.material.map.dispose()
+          object.material.dispose()
+        }
+      })
+      this.scene.clear()
+    }
+    if (this.planet) {
+      // Shader textures aren't a material's `map`
+      this.planet.dayTexture.dispose()
+      this.planet.nightLights.dispose()
+      this.planet = null
     }
     this.spikes = []
     this.renderer = null
     this.scene = null
     this.earth = null
+
+    // The scene is gone, so game meshes are rebuilt from the simulation
+    this.disposeInstancePools()
+    this.waveMeshes.clear()
+    this.explosions = []
+  }
+
+  // Stops the game and removes everything the globe added to the page: the
+  // canvas, its panels and every listener. Create a new Globe to mount again.
+  dispose() {
+    this.feed.disconnect()
+    if (this.net) this.net.disconnect()
+    this.net = null
+    this.audio.dispose()
+    this.player = null
+    this.unlisten()
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+    this.removeGlobe()
+
+    if (this.containerStyle) {
+      const { position, overflow, tabIndex } = this.containerStyle
+      this.container.style.position = position
+      this.container.style.overflow = overflow
+      if (tabIndex === null) {
+        this.container.removeAttribute("tabindex")
+      } else {
+        this.container.setAttribute("tabindex", tabIndex)
+      }
+      this.containerStyle = null
+    }
+
+    const elements = [
+      this.controlPanel,
+      this.secondPlayerPanel,
+      this.feedPanel,
+      this.hud && this.hud.container,
+      this.roundBanner,
+      this.pauseBanner,
+      this.gameOverScreen,
+      this.bindingsPanel,
+      this.statsPanel,
+      this.onlinePanel && this.onlinePanel.container,
+      this.crosshair,
+      this.replayControls && this.replayControls.container,
+      this.isOwnLogPanel && this.logPanel,
+    ]
+    elements.forEach((element) => element && element.remove())
+    this.callouts.forEach(({ element }) => element.remove())
+    this.callouts = []
+    this.controlPanel = null
+    this.feedPanel = null
+    this.hud = null
+    this.roundBanner = null
+    this.pauseBanner = null
+    this.gameOverScreen = null
+    this.replayControls = null
+    this.logPanel = null
+    this.isOwnLogPanel = false
+    this.onLog = null
+    this.bindingsPanel = null
+    this.statsPanel = null
+    this.onlinePanel = null
+    this.crosshair = null
+    this.shortcutHint = null
+    this.secondPlayerPanel = null
+    this.secondPlayerHint = null
+    this.modeSelect = null
+    this.weaponButtons = {}
+    this.launchButtons = {}
+    this.energyBars = []
+  }
+
+  // Adds an event listener that dispose() will remove
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options)
+    this.listeners.push([target, type, handler, options])
+  }
+
+  // Removes the listeners added with listen() to `target`, or to anything
+  unlisten(target) {
+    this.listeners = this.listeners.filter((listener) => {
+      if (target && listener[0] !== target) return true
+      const [listenerTarget, type, handler, options] = listener
+      listenerTarget.removeEventListener(type, handler, options)
+      return false
+    })
+  }
+
+  // Returns the {lat, long} under a screen point, or null if it misses Earth
+  getEarthTarget(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect()
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1,
+    )
+    this.raycaster.setFromCamera(pointer, this.camera)
+
+    const [hit] = this.raycaster.intersectObject(this.earth, false)
+    if (!hit) return null
+
+    return this.vector3ToLatLong(this.earth.worldToLocal(hit.point.clone()))
+  }
+
+  // Inverse of latLongToVector3
+  vector3ToLatLong(vector) {
+    return pointToLatLong(vector)
   }
 
   latLongToVector3(lat, lon) {
-    const phi = (90 - lat) * (Math.PI / 180)
-    const theta = (lon + 180) * (Math.PI / 180)
-    const x = -0.5 * Math.sin(phi) * Math.cos(theta)
-    const y = 0.5 * Math.cos(phi)
-    const z = 0.5 * Math.sin(phi) * Math.sin(theta)
+    const { x, y, z } = latLongToPoint(lat, lon)
     return new THREE.Vector3(x, y, z)
   }
 
+  handleRequestEvent(event) {
+    if (this.earth) this.visualizeHit(event)
+    this.log(this.formatRequestEvent(event))
+
+    // Live traffic would break a replay, so it only attacks live games. Online
+    // the host's feed attacks everyone.
+    if (this.player) return
+    if (this.net) {
+      if (this.net.isHost) this.net.queue(createSpawnAction(event))
+      return
+    }
+    if (this.sim.spawnFromRequest(event)) {
+      this.recorder.recordSpawn(this.sim.tick, event)
+    }
+  }
+
+  formatRequestEvent(event) {
+    const { lat, long, type } = event
+    const time = new Date(event.time || Date.now()).toLocaleTimeString()
+    const location = `${lat.toFixed(2)}, ${long.toFixed(2)}`
+    const detail = event.url || event.path || event.city || ""
+    return `${time} ${type.padEnd(5)} ${location.padEnd(16)} ${detail}`.trim()
+  }
+
+  createFeedPanel() {
+    const feedPanel = document.createElement("div")
+    feedPanel.style.position = this.overlayPosition
+    feedPanel.style.top = "25px"
+    feedPanel.style.left = "3px"
+    feedPanel.style.zIndex = "1000"
+    feedPanel.style.fontFamily = "monospace"
+    feedPanel.style.fontSize = "12px"
+    feedPanel.style.color = "rgba(255, 255, 255, 0.7)"
+
+    const toggle = document.createElement("a")
+    toggle.textContent = "Feed"
+    toggle.style.cursor = "pointer"
+    feedPanel.appendChild(toggle)
+
+    const body = document.createElement("div")
+    body.style.display = "none"
+    body.style.flexDirection = "column"
+    body.style.gap = "5px"
+    body.style.marginTop = "5px"
+    body.style.padding = "10px"
+    body.style.width = "260px"
+    body.style.backgroundColor = "rgba(0, 0, 0, 0.8)"
+    body.style.borderRadius = "5px"
+    toggle.addEventListener("click", () => {
+      body.style.display = body.style.display === "none" ? "flex" : "none"
+    })
+
+    const urlInput = document.createElement("input")
+    urlInput.placeholder = "ws://localhost:8080 or http://localhost:8080/events"
+    urlInput.value = this.feed.url || ""
+    body.appendChild(urlInput)
+
+    const connectButton = document.createElement("button")
+    connectButton.textContent = this.feed.source ? "Disconnect" : "Connect"
+    connectButton.addEventListener("click", () => {
+      if (this.feed.source) {
+        this.feed.disconnect()
+        connectButton.textContent = "Connect"
+      } else if (urlInput.value.trim()) {
+        this.feed.connect(urlInput.value.trim())
+        connectButton.textContent = "Disconnect"
+      }
+    })
+    body.appendChild(connectButton)
+
+    const logInput = document.createElement("textarea")
+    logInput.placeholder = "Paste an NDJSON log, one event per line"
+    logInput.rows = 5
+    body.appendChild(logInput)
+
+    const loadButton = document.createElement("button")
+    loadButton.textContent = "Load log"
+    loadButton.addEventListener("click", () => {
+      const { accepted, skipped } = this.feed.ingest(logInput.value)
+      this.log(`Loaded ${accepted} events, skipped ${skipped} lines`)
+      logInput.value = ""
+    })
+    body.appendChild(loadButton)
+
+    feedPanel.appendChild(body)
+    this.container.appendChild(feedPanel)
+    this.feedPanel = feedPanel
+  }
+
   visualizeHit(request) {
     const { lat, long, type } = request
     const position = this.latLongToVector3(lat, long)
@@ -786,30 +5730,291 @@ class Globe {
     this.spikes.push(spike)
   }
 
+  // Status lines along the bottom of the container. A full-page game writes
+  // to the page's #log-container instead when it has one.
+  createLogPanel() {
+    const pageLog = !this.isEmbedded && document.getElementById("log-container")
+    if (pageLog) {
+      this.logPanel = pageLog
+      return this
+    }
+
+    const panel = document.createElement("div")
+    panel.style.position = this.overlayPosition
+    panel.style.left = "0"
+    panel.style.right = "0"
+    panel.style.bottom = "0"
+    panel.style.height = "100px"
+    panel.style.padding = "10px"
+    panel.style.overflowY = "auto"
+    panel.style.fontFamily = "monospace"
+    panel.style.whiteSpace = "pre-wrap"
+    panel.style.wordWrap = "break-word"
+    panel.style.color = "white"
+    this.container.appendChild(panel)
+    this.logPanel = panel
+    this.isOwnLogPanel = true
+    return this
+  }
+
+  log(message) {
+    if (this.onLog) this.onLog(message)
+    const panel = this.logPanel
+    if (!panel) return
+
+    const line = document.createElement("div")
+    line.textContent = message
+    panel.appendChild(line)
+    while (panel.children.length > this.maxLogLines) {
+      panel.firstChild.remove()
+    }
+    panel.scrollTop = panel.scrollHeight
+  }
+
   listenToResize() {
-    window.addEventListener("resize", () => {
-      this.createGlobe() // Recreate the globe on resize
+    this.listen(window, "resize", () => this.resize())
+
+    // Containers can change size without the window resizing
+    if (this.isEmbedded && typeof ResizeObserver !== "undefined") {
+      this.resizeObserver = new ResizeObserver(() => this.resize())
+      this.resizeObserver.observe(this.container)
+    }
+    return this
+  }
+
+  getViewportSize() {
+    if (!this.isEmbedded) {
+      return { width: window.innerWidth, height: window.innerHeight - 100 }
+    }
+
+    const { clientWidth, clientHeight } = this.container
+    return {
+      width: Math.max(1, clientWidth),
+      height: Math.max(1, clientHeight),
+    }
+  }
+
+  // Fits the renderer and camera to the container, keeping the scene as it is
+  resize() {
+    if (!this.renderer) return
+
+    const { width, height } = this.getViewportSize()
+    this.camera.aspect = width / height
+    this.camera.updateProjectionMatrix()
+    this.renderer.setSize(width, height)
+    this.positionCrosshair()
+    this.updateLayout()
+  }
+
+  // Pauses while the tab is hidden, and resumes only if that's what paused it
+  listenToVisibility() {
+    this.listen(document, "visibilitychange", () => {
+      if (document.hidden) {
+        // Hidden tabs may be closed without warning, so keep the stats so far
+        writeSaveData(this.save)
+        this.wasHidden = !this.clock.isPaused
+        if (this.wasHidden) this.setPaused(true)
+      } else if (this.wasHidden) {
+        this.wasHidden = false
+        this.setPaused(false)
+      }
     })
     return this
   }
 
   toggleFullScreen() {
-if (!document.fullscreenElement) {
-        document.body.requestFullscreen().catch((err) => {
-          console.log(
-            `Error trying to go fullscreen: ${err.message} (${err.name})`,
-          )
-        })
-      } else {
-        document.exitFullscreen()
-      }
+    if (!document.fullscreenElement) {
+      this.container.requestFullscreen().catch((err) => {
+        console.log(
+          `Error trying to go fullscreen: ${err.message} (${err.name})`,
+        )
+      })
+    } else {
+      document.exitFullscreen()
+    }
   }
 
   shouldRotate = true
 
 }
 
-window.globe = new Globe().createGlobe().listenToResize()
+// Mounts a game in `container`, sized to it, and returns a handle to control
+// it. Options:
+//
+//   cities     City definitions (see parseCities), or a URL to load them from
+//   mode       "solo" (default), "coop" or "versus", see GAME_MODES
+//   feed       WebSocket or EventSource URL of request events to attack with
+//   relay      WebSocket URL of a room on a relayServer.js relay to play
+//              online in, e.g. ws://localhost:8090/lobby
+//   nightLights  URL of an equirectangular image of the Earth's lights at
+//              night, instead of lights drawn around the cities
+//   controls, hud, feedPanel, log   Show each panel (default true)
+//   autoStart  Start playing straight away (default true)
+//   onDroneDestroyed({ id, type, lat, long, weapon, player, score })
+//   onWaveFired({ id, weapon, player, lat, long })  lat/long are unset for
+//                                                   full waves
+//   onGameOver({ score, round, dronesDestroyed, bestCombo, reason, winner,
+//                players: [{ name, role, score }] })
+//   onLog(message)  Every status line the game logs
+//
+// `player` is the index of the player who fired, and `winner` the index of
+// the winner of a versus game, otherwise null.
+//
+// Hooks other than onLog only fire for live games, not replays.
+const mount = (container, options = {}) => {
+  const {
+    cities,
+    mode,
+    feed,
+    relay,
+    nightLights,
+    controls = true,
+    hud = true,
+    feedPanel = true,
+    log = true,
+    autoStart = true,
+    onDroneDestroyed,
+    onWaveFired,
+    onGameOver,
+    onLog,
+  } = options
+
+  let containerStyle = null
+  if (container !== document.body) {
+    containerStyle = {
+      position: container.style.position,
+      overflow: container.style.overflow,
+      tabIndex: container.getAttribute("tabindex"),
+    }
+    if (window.getComputedStyle(container).position === "static") {
+      container.style.position = "relative" // Anchors the overlays
+    }
+    container.style.overflow = "hidden"
+    if (container.tabIndex < 0) container.tabIndex = 0 // Focusable for keys
+  }
+
+  const globe = new Globe(container)
+  globe.containerStyle = containerStyle
+  globe.onLog = onLog || null
+  if (log) globe.createLogPanel()
+  globe
+    .createGlobe()
+    .listenToResize()
+    .listenToVisibility()
+    .listenToKeyboard()
+    .listenForAudio()
+  globe.createCrosshair()
+  if (nightLights) globe.loadNightLights(nightLights)
+  if (mode) globe.setMode(mode)
+  if (controls) globe.createControlPanel()
+  if (hud) globe.createHud()
+  if (feed) globe.feed.connect(feed)
+  if (relay) globe.goOnline(relay)
+  if (feedPanel) globe.createFeedPanel()
+
+  if (typeof cities === "string") {
+    globe.loadCitiesFromUrl(cities)
+  } else if (cities) {
+    globe.loadCities(cities)
+  }
+
+  const { sim } = globe
+  const hook = (event, callback, toDetail) => {
+    if (!callback) return
+    sim.on(event, (...args) => {
+      if (!globe.player) callback(toDetail(...args))
+    })
+  }
+  hook("droneDestroyed", onDroneDestroyed, (drone, wave) => ({
+    id: drone.id,
+    type: drone.type.name,
+    ...pointToLatLong(drone.position),
+    weapon: wave.weapon.name,
+    player: wave.player,
+    score: sim.game.score,
+  }))
+  hook("waveFired", onWaveFired, (wave) => ({
+    id: wave.id,
+    weapon: wave.weapon.name,
+    player: wave.player,
+    ...wave.target,
+  }))
+  hook("gameOver", onGameOver, () => ({
+    score: sim.game.score,
+    round: sim.rounds.round,
+    dronesDestroyed: sim.game.dronesDestroyed,
+    bestCombo: sim.game.bestCombo,
+    reason: sim.game.overReason,
+    winner: sim.game.winner && sim.game.winner.index,
+    players: sim.players.map(({ name, role, score }) => ({
+      name,
+      role,
+      score,
+    })),
+  }))
+
+  if (!autoStart) globe.setPaused(true)
+
+  return {
+    globe,
+    start: () => globe.setPaused(false),
+    pause: () => globe.setPaused(true),
+    destroy: () => globe.dispose(),
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  // Expose the headless simulation to Node, e.g. for tests and balancing
+  module.exports = {
+    Simulation,
+    Player,
+    GAME_MODES,
+    DroneIndex,
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    parseRequestEvent,
+    parseCities,
+    parseSaveData,
+    RequestFeed,
+    NetworkSession,
+    createRng,
+    getSubsolarPoint,
+    latLongToPoint,
+    pointToLatLong,
+    ROUNDS,
+    CITIES,
+    DRONE_TYPES,
+    WEAPONS,
+    registerDroneType,
+    registerWeapon,
+  }
+} else {
+  window.WaveWar = {
+    mount,
+    Globe,
+    Simulation,
+    GAME_MODES,
+    registerDroneType,
+    registerWeapon,
+    CITIES,
+    DRONE_TYPES,
+    WEAPONS,
+  }
 
-// Add the control panel after initialization
-window.globe.createControlPanel()
+  // Pages that embed the game load this script with data-mount="manual" and
+  // call WaveWar.mount themselves. Otherwise it fills the page, defending
+  // ?cities=<url> and attacked by ?feed=<url> when given, in ?mode=<mode>,
+  // and online through ?relay=<url>.
+  const script = document.currentScript
+  if (!script || script.dataset.mount !== "manual") {
+    const params = new URLSearchParams(window.location.search)
+    const mode = params.get("mode")
+    window.globe = mount(document.body, {
+      cities: params.get("cities"),
+      mode: GAME_MODES.includes(mode) ? mode : undefined,
+      feed: params.get("feed"),
+      relay: params.get("relay"),
+    }).globe
+  }
+}
@@ -0,0 +1,66 @@
+// Measures simulation frame time with thousands of drones under constant fire:
+//
+//   node benchmark.js [droneCounts...]
+//
+// Each frame is one fixed simulation step. A weapon fires every 10 frames,
+// alternating full-sky waves with waves aimed at random points. Waves destroy
+// drones quickly, so the drone count is topped back up before each step and
+// that spawning is timed apart from the step itself. "avg alive" is how many
+// drones were still flying after each step.
+const { Simulation } = require("./WaveWar.js")
+
+const frames = 300
+const counts = process.argv.slice(2).map(Number)
+
+const benchmark = (droneCount) => {
+  const sim = new Simulation({ maxDrones: Infinity }).newGame(1)
+  sim.game.maxEarthHealth = sim.game.earthHealth = Infinity
+  sim.game.maxEnergy = sim.players[0].energy = Infinity
+
+  let total = 0
+  let worst = 0
+  let spawnTotal = 0
+  let spawned = 0
+  let alive = 0
+  for (let frame = 0; frame < frames; frame++) {
+    const spawnStart = process.hrtime.bigint()
+    while (sim.drones.length < droneCount) {
+      sim.spawnDrone({})
+      spawned++
+    }
+    spawnTotal += Number(process.hrtime.bigint() - spawnStart) / 1e6
+
+    if (frame % 10 === 0) {
+      const target =
+        frame % 20 === 0
+          ? { lat: sim.random() * 180 - 90, long: sim.random() * 360 - 180 }
+          : undefined
+      sim.players[0].cooldowns = {} // Fire on schedule, whatever the weapon
+      sim.fire(frame % 30 === 0 ? "EMP" : "SOUND", target)
+    }
+
+    const start = process.hrtime.bigint()
+    sim.update()
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+    total += elapsed
+    worst = Math.max(worst, elapsed)
+    alive += sim.drones.length
+  }
+
+  return {
+    drones: droneCount,
+    "avg alive": Math.round(alive / frames),
+    waves: sim.waves.length,
+    "avg frame (ms)": (total / frames).toFixed(3),
+    "worst frame (ms)": worst.toFixed(3),
+    "avg spawn (ms)": (spawnTotal / frames).toFixed(3),
+    spawned,
+    "drones destroyed": sim.game.dronesDestroyed,
+  }
+}
+
+console.table(
+  (counts.length ? counts : [1000, 5000, 10000]).map((count) =>
+    benchmark(count),
+  ),
+)
@@ -0,0 +1,65 @@
+// Local stand-in for a live request feed. Streams request events as
+// Server-Sent Events so the globe can be tested without real traffic:
+//
+//   node feedServer.js [port] [log.ndjson]
+//
+// then open index.html?feed=http://localhost:8080/events
+//
+// With an NDJSON log it replays those events in a loop, otherwise it makes up
+// random ones.
+const http = require("http")
+const fs = require("fs")
+
+const port = Number(process.argv[2]) || 8080
+const logFile = process.argv[3]
+const interval = 250 // One event every 250ms
+
+const loggedEvents = logFile
+  ? fs
+      .readFileSync(logFile, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+  : []
+
+let eventIndex = 0
+const nextEvent = () => {
+  if (loggedEvents.length) {
+    return loggedEvents[eventIndex++ % loggedEvents.length]
+  }
+
+  return JSON.stringify({
+    lat: Math.random() * 180 - 90,
+    long: Math.random() * 360 - 180,
+    type: Math.random() > 0.2 ? "read" : "write",
+    time: Date.now(),
+  })
+}
+
+const clients = new Set()
+
+http
+  .createServer((req, res) => {
+    if (req.url !== "/events") {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    })
+    res.write("\n")
+    clients.add(res)
+    req.on("close", () => clients.delete(res))
+  })
+  .listen(port, () => {
+    console.log(`Streaming request events on http://localhost:${port}/events`)
+  })
+
+setInterval(() => {
+  const event = nextEvent()
+  clients.forEach((res) => res.write(`data: ${event}\n\n`))
+}, interval)
@@ -0,0 +1,217 @@
+// Relay for online games. Players in the same room (the URL path) get each
+// other's messages, stamped with the sender's `player` number, and hear when
+// players join and leave. It knows nothing about the game itself: keeping
+// the browsers in step is up to NetworkSession in WaveWar.js.
+//
+//   node relayServer.js [port]
+//
+// then open index.html?relay=ws://localhost:8090/<room> in two browsers.
+//
+// Node has no WebSocket server built in, so this speaks just enough of the
+// protocol (RFC 6455) for JSON text messages.
+const http = require("http")
+const crypto = require("crypto")
+
+const port = Number(process.argv[2]) || 8090
+const maxPlayers = 2 // Per room
+const maxMessageSize = 4 * 1024 * 1024 // Resyncs carry a whole replay
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11" // From the RFC
+
+const OPCODES = { continuation: 0, text: 1, close: 8, ping: 9, pong: 10 }
+
+// Message types only the relay sends. Players can't send them to each other.
+const RELAY_TYPES = ["welcome", "joined", "left", "full"]
+
+const rooms = new Map() // Room name to a Map of player number to socket
+
+// One whole frame. Servers never mask theirs.
+const encodeFrame = (opcode, payload) => {
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  header[0] = 0x80 | opcode
+  return Buffer.concat([header, payload])
+}
+
+// Calls onFrame(isFinal, opcode, payload) for every complete frame at the
+// start of `buffer` and returns what's left of it. Throws if a frame is over
+// maxMessageSize.
+const decodeFrames = (buffer, onFrame) => {
+  while (buffer.length >= 2) {
+    const isFinal = (buffer[0] & 0x80) !== 0
+    const opcode = buffer[0] & 0x0f
+    const isMasked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+    if (length === 126) {
+      if (buffer.length < 4) break
+      length = buffer.readUInt16BE(2)
+      offset = 4
+    } else if (length === 127) {
+      if (buffer.length < 10) break
+      length = Number(buffer.readBigUInt64BE(2))
+      offset = 10
+    }
+    if (length > maxMessageSize) throw new Error("Message too big")
+
+    const maskOffset = offset
+    if (isMasked) offset += 4
+    if (buffer.length < offset + length) break
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length))
+    if (isMasked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)]
+      }
+    }
+    onFrame(isFinal, opcode, payload)
+    buffer = buffer.subarray(offset + length)
+  }
+  return buffer
+}
+
+const send = (socket, message) => {
+  if (!socket.writable) return
+  socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))))
+}
+
+const close = (socket) => {
+  if (socket.writable) socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)))
+}
+
+// Everyone in the room but `from`
+const broadcast = (room, from, message) => {
+  room.forEach((socket, player) => {
+    if (player !== from) send(socket, message)
+  })
+}
+
+const join = (socket, roomName) => {
+  const room = rooms.get(roomName) || new Map()
+  rooms.set(roomName, room)
+
+  // Take the lowest free number, so a player who drops out can rejoin as
+  // themselves
+  let player = 0
+  while (room.has(player)) player++
+  if (player >= maxPlayers) {
+    send(socket, { type: "full" })
+    close(socket)
+    return
+  }
+
+  room.set(player, socket)
+  send(socket, { type: "welcome", player, players: [...room.keys()] })
+  broadcast(room, player, { type: "joined", player })
+  console.log(`${roomName}: player ${player + 1} joined`)
+
+  let fragments = []
+  let fragmentsSize = 0
+  const handleFrame = (isFinal, opcode, payload) => {
+    if (opcode === OPCODES.close) {
+      close(socket)
+      return
+    }
+    if (opcode === OPCODES.ping) {
+      socket.write(encodeFrame(OPCODES.pong, payload))
+      return
+    }
+    if (opcode !== OPCODES.text && opcode !== OPCODES.continuation) return
+
+    // Messages can come in pieces, which together still have to fit in
+    // maxMessageSize
+    fragmentsSize += payload.length
+    if (fragmentsSize > maxMessageSize) throw new Error("Message too big")
+    fragments.push(payload)
+    if (!isFinal) return
+    const text = Buffer.concat(fragments).toString("utf8")
+    fragments = []
+    fragmentsSize = 0
+
+    let message = null
+    try {
+      message = JSON.parse(text)
+    } catch (err) {
+      // Not one of ours
+    }
+    if (
+      message &&
+      typeof message === "object" &&
+      !RELAY_TYPES.includes(message.type)
+    ) {
+      broadcast(room, player, { ...message, player })
+    }
+  }
+
+  let buffer = Buffer.alloc(0)
+  socket.on("data", (data) => {
+    try {
+      buffer = decodeFrames(Buffer.concat([buffer, data]), handleFrame)
+    } catch (err) {
+      console.log(`${roomName}: dropping player ${player + 1}, ${err.message}`)
+      socket.destroy()
+    }
+  })
+
+  const leave = () => {
+    if (room.get(player) !== socket) return
+    room.delete(player)
+    if (!room.size) rooms.delete(roomName)
+    broadcast(room, player, { type: "left", player })
+    console.log(`${roomName}: player ${player + 1} left`)
+  }
+  socket.on("close", leave)
+  socket.on("error", leave)
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" })
+  res.end("Connect with a WebSocket")
+})
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"]
+  if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+    return
+  }
+
+  let roomName
+  try {
+    const { pathname } = new URL(req.url, "http://localhost")
+    roomName = decodeURIComponent(pathname.slice(1)) || "lobby"
+  } catch (err) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+    return
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + GUID)
+    .digest("base64")
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  )
+  socket.setNoDelay(true) // Lockstep inputs are small and can't wait
+  join(socket, roomName)
+})
+
+server.listen(port, () => {
+  console.log(`Relaying games on ws://localhost:${port}/<room>`)
+})
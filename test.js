@@ -0,0 +1,290 @@
+// Checks the headless simulation in Node:
+//
+//   node test.js
+//
+// Each test throws on failure; the run stops at the first one.
+const assert = require("assert")
+const {
+  Simulation,
+  DroneIndex,
+  ReplayRecorder,
+  ReplayPlayer,
+  NetworkSession,
+  parseReplay,
+  parseSaveData,
+  CITIES,
+  DRONE_TYPES,
+  latLongToPoint,
+  ROUNDS,
+  WEAPONS,
+} = require("./WaveWar.js")
+
+const weapons = Object.keys(WEAPONS)
+
+// Plays `ticks` steps of a seeded game, firing at points picked by a second
+// RNG so the inputs don't disturb the game's own, and spawning drones from
+// made-up requests. Returns the checksum after every step and a replay.
+const playScriptedGame = (seed, ticks = 1200) => {
+  const sim = new Simulation().newGame(seed)
+  const recorder = new ReplayRecorder(seed, CITIES)
+  const input = new Simulation().newGame(seed + 1).random
+  const randomTarget = () => ({
+    lat: input() * 180 - 90,
+    long: input() * 360 - 180,
+  })
+  const checksums = []
+  while (sim.tick < ticks) {
+    if (input() < 0.05) {
+      const weapon = weapons[Math.floor(input() * weapons.length)]
+      const target = input() < 0.5 ? randomTarget() : undefined
+      if (sim.fire(weapon, target)) {
+        recorder.recordAction(sim.tick, weapon, target)
+      }
+    }
+    if (input() < 0.02) {
+      const request = { ...randomTarget(), type: "read" }
+      if (sim.spawnFromRequest(request)) {
+        recorder.recordSpawn(sim.tick, request)
+      }
+    }
+    sim.update()
+    checksums.push(sim.checksum())
+  }
+  return { sim, checksums, replay: recorder.finish(sim.tick) }
+}
+
+const testSameSeedSameGame = () => {
+  const first = playScriptedGame(1234)
+  assert.ok(first.sim.game.dronesDestroyed > 0, "no drones were destroyed")
+  assert.deepStrictEqual(playScriptedGame(1234).checksums, first.checksums)
+}
+
+const testDifferentSeedsDiffer = () => {
+  const [a, b] = [1, 2].map((seed) => playScriptedGame(seed).checksums)
+  assert.notStrictEqual(a[a.length - 1], b[b.length - 1])
+}
+
+const testWaveDestroysDrone = () => {
+  const sim = new Simulation().newGame(7)
+  const drone = sim.spawnDrone({ position: { x: 0, y: 0, z: 0.7 } })
+  const wave = sim.fire("EMP")
+  assert.ok(wave, "EMP didn't fire")
+
+  while (sim.waves.includes(wave) && !drone.isRemoved) sim.update()
+  assert.ok(drone.isRemoved, "the wave passed the drone by")
+  assert.ok(!sim.drones.includes(drone))
+  assert.strictEqual(sim.game.dronesDestroyed, 1)
+  assert.strictEqual(sim.game.score, DRONE_TYPES.standard.points)
+  assert.strictEqual(sim.players[0].score, DRONE_TYPES.standard.points)
+}
+
+const testRoundSpawnsItsDrones = () => {
+  const sim = new Simulation().newGame(5)
+  const { rounds } = sim
+
+  // Nothing spawns during the break before the first round
+  const breakTicks = Math.floor(rounds.intermissionDuration / sim.step)
+  for (let i = 0; i < breakTicks; i++) sim.update()
+  assert.strictEqual(sim.drones.length, 0)
+
+  const [{ drones, spawnInterval, droneTypes }] = ROUNDS
+  const spawnTicks = Math.ceil((drones * spawnInterval) / sim.step) + 10
+  let spawned = 0
+  sim.on("droneSpawned", (drone) => {
+    spawned++
+    assert.ok(droneTypes.includes(drone.type.name))
+    assert.ok(Math.abs(drone.altitude - 0.8) < 1e-9, "spawned off the shell")
+  })
+  for (let i = 0; i < spawnTicks && rounds.round === 1; i++) sim.update()
+  assert.strictEqual(spawned, drones)
+  assert.strictEqual(rounds.dronesSpawned, drones)
+}
+
+const testReplayRoundTrip = () => {
+  const { replay, checksums } = playScriptedGame(1234)
+  assert.ok(replay.actions.length > 0, "the game recorded no actions")
+
+  const sim = new Simulation()
+  const player = new ReplayPlayer(sim, parseReplay(JSON.stringify(replay)))
+  const replayed = []
+  while (!player.isFinished) {
+    player.step()
+    replayed.push(sim.checksum())
+  }
+  assert.deepStrictEqual(replayed, checksums)
+
+  // Seeking rewinds and fast-forwards to the same state
+  player.seek(replayed.length / 2)
+  assert.strictEqual(sim.checksum(), checksums[replayed.length / 2 - 1])
+}
+
+const testMalformedReplaysRejected = () => {
+  const { replay } = playScriptedGame(1, 60)
+  const malformed = {
+    "no ticks": { ...replay, ticks: undefined },
+    "negative ticks": { ...replay, ticks: -1 },
+    "fractional ticks": { ...replay, ticks: 1.5 },
+    "null action": { ...replay, actions: [null] },
+    "action without a tick": { ...replay, actions: [["EMP"]] },
+    "action past the end": { ...replay, actions: [[61, "EMP"]] },
+    "action without a name": { ...replay, actions: [[0, 3]] },
+    "null camera sample": { ...replay, camera: [null] },
+    "short camera sample": { ...replay, camera: [[0, 1]] },
+    "unknown mode": { ...replay, mode: "bogus" },
+    "bad cities": { ...replay, cities: [{ name: "Nowhere", lat: 100 }] },
+    "no version": { ...replay, version: undefined },
+  }
+  Object.keys(malformed).forEach((name) => {
+    assert.throws(
+      () => parseReplay(JSON.stringify(malformed[name])),
+      Error,
+      `accepted a replay with ${name}`,
+    )
+  })
+  assert.throws(() => parseReplay("null"))
+  assert.strictEqual(parseReplay(JSON.stringify(replay)).ticks, 60)
+}
+
+const testDroneIndexQueries = () => {
+  const sim = new Simulation({ maxDrones: Infinity }).newGame(99)
+  for (let i = 0; i < 2000; i++) sim.spawnDrone({})
+  const index = new DroneIndex()
+  index.build(sim.drones)
+
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+  const centers = [
+    { x: 0, y: 0, z: 0 },
+    { x: 0.5, y: 0.3, z: -0.2 },
+    { x: -0.6, y: 0, z: 0.6 },
+  ]
+  centers.forEach((center) => {
+    const [minRadius, maxRadius] = [0.4, 0.7]
+    const found = new Set()
+    index.query(center, minRadius, maxRadius, (drone) => found.add(drone))
+    sim.drones.forEach((drone) => {
+      const d = distance(drone.position, center)
+      if (d >= minRadius && d <= maxRadius) {
+        assert.ok(found.has(drone), `query missed drone ${drone.id}`)
+      }
+    })
+  })
+}
+
+const testDronesNearCityDamageIt = () => {
+  const sim = new Simulation().newGame(3)
+  const [near, far] = sim.cities
+  const { x, y, z } = latLongToPoint(near.lat, near.long)
+  const position = { x: x * 1.1, y: y * 1.1, z: z * 1.1 }
+  const drone = sim.spawnDrone({ position })
+  sim.update()
+  assert.ok(!drone.isRemoved, "the drone struck the surface")
+  assert.ok(near.health < near.maxHealth, `${near.name} took no damage`)
+  assert.strictEqual(far.health, far.maxHealth)
+}
+
+const testSaveParsing = () => {
+  const parse = (data) => parseSaveData(JSON.stringify(data))
+  assert.throws(() => parse({ version: -1 }), /Not a WaveWar save/)
+  assert.throws(() => parse({ version: 99 }), /newer than this game/)
+
+  // Version 0 saves were bindings alone
+  const migrated = parse({ version: 0, bindings: { pause: { keys: ["q"] } } })
+  assert.deepStrictEqual(migrated.settings.bindings.pause.keys, ["q"])
+
+  const entry = {
+    score: 500,
+    date: "2026-10-18T12:00:00.000Z",
+    round: 3,
+    dronesDestroyed: 40,
+    accuracy: 0.5,
+  }
+  const save = parse({
+    version: 1,
+    highScores: [
+      entry,
+      { ...entry, round: undefined },
+      { ...entry, accuracy: "0.5" },
+      { ...entry, date: "yesterday" },
+      { ...entry, dronesDestroyed: null },
+      null,
+    ],
+    stats: {
+      gamesPlayed: "3",
+      dronesDestroyed: 12,
+      weapons: { EMP: { fired: 4, hits: 2, kills: 5 }, SOUND: "x" },
+    },
+  })
+  assert.deepStrictEqual(save.highScores, [entry])
+  assert.deepStrictEqual(save.stats, {
+    gamesPlayed: 0,
+    dronesDestroyed: 12,
+    weapons: { EMP: { fired: 4, hits: 2, kills: 5 } },
+  })
+}
+
+const testMalformedNetworkMessagesIgnored = () => {
+  const session = new NetworkSession(new Simulation())
+  session.handleMessage({ type: "welcome", player: 0, players: [0, 1] })
+  assert.strictEqual(session.player, 0)
+  assert.deepStrictEqual(session.peers, [1])
+
+  const malformed = [
+    { type: "welcome", player: 1 },
+    { type: "joined" },
+    { type: "left", player: "1" },
+    { type: "start", player: 1, seed: 5, mode: "coop", players: [0, 1] },
+    { type: "start", player: 1, seed: 5, mode: "coop", inputDelay: 3 },
+    {
+      type: "start",
+      player: 1,
+      seed: 5,
+      mode: "coop",
+      players: [0, 1],
+      inputDelay: 3,
+      cities: [{ name: "Nowhere" }],
+    },
+  ]
+  malformed.forEach((message) => {
+    assert.doesNotThrow(() => session.handleMessage(message))
+  })
+  assert.strictEqual(session.player, 0)
+  assert.deepStrictEqual(session.peers, [1])
+  assert.strictEqual(session.game, null)
+
+  session.handleMessage({
+    type: "start",
+    player: 1,
+    seed: 5,
+    mode: "coop",
+    players: [0, 1],
+    inputDelay: 3,
+    cities: CITIES,
+  })
+  assert.strictEqual(session.game, 5)
+  assert.doesNotThrow(() =>
+    session.handleMessage({
+      type: "resync",
+      player: 1,
+      game: 5,
+      for: 0,
+      replay: { version: 1, seed: 5, actions: [null], camera: [] },
+    }),
+  )
+}
+
+const tests = {
+  testSameSeedSameGame,
+  testDifferentSeedsDiffer,
+  testWaveDestroysDrone,
+  testRoundSpawnsItsDrones,
+  testReplayRoundTrip,
+  testMalformedReplaysRejected,
+  testDroneIndexQueries,
+  testDronesNearCityDamageIt,
+  testSaveParsing,
+  testMalformedNetworkMessagesIgnored,
+}
+Object.keys(tests).forEach((name) => {
+  tests[name]()
+  console.log(`ok ${name}`)
+})